@@ -1,22 +1,50 @@
 /* eslint-disable max-len, require-jsdoc */
+/* global BigInt, BigInt64Array, BigUint64Array, WeakRef, SharedArrayBuffer */
 
 'use strict';
 const {Event, EventTarget} = require('shelving-mock-event');
 
 // Vars.
-const connections = {}; // Open connections.
-const versions = {}; // Highest database versions.
-const storage = {}; // Root storage.
+// These (and the data objects for databases and object stores) have no prototype, so any name can be used as a key.
+const connections = Object.create(null); // Open connections.
+const versions = Object.create(null); // Highest database versions.
+const storage = Object.create(null); // Root storage.
+const transactions = Object.create(null); // Unfinished transactions on each database (across all connections), in the order they were created.
+const steps = Object.create(null); // Transactions with a request ready to run on each database (across all connections), in the order they became ready.
+const ticks = Object.create(null); // Timeout for the next request to run on each database.
 
 // IndexedDB classes.
 
 // IDBFactory mock.
 class IDBFactory {
+  // Construct.
+  // Options:
+  // - `freezeResults`: deep freeze values returned by reads (so accidentally changing them throws).
+  // - `seed`: run concurrent transactions and their requests in a random order chosen by this seed (so the same seed replays the same order).
+  constructor({freezeResults = false, seed = undefined} = {freezeResults: false}) {
+    // Check params.
+    if (typeof freezeResults !== 'boolean') {
+      throw new TypeError('IDBFactory: freezeResults must be boolean');
+    }
+    if (!Number.isInteger(seed) && seed !== undefined) {
+      throw new TypeError('IDBFactory: seed must be an integer or undefined');
+    }
+
+    this._freezeResults = freezeResults;
+    this._seed = seed;
+    this._random = seed === undefined ? null : random(seed);
+  }
+
+  // The seed that chooses the order of concurrent transactions (or undefined if there isn't one).
+  get seed() {
+    return this._seed;
+  }
+
   // Open a connection.
   open(name, version) {
     // Make a new request.
     // Set default handlers to ensure errors aren't masked by spotty implementations.
-    const request = new IDBOpenDBRequest(name, version);
+    const request = new IDBOpenDBRequest(name, version, this);
 
     // Watch out for: https://github.com/dhoulb/shelving-mock-indexeddb/issues/3
     request.onblocked = () => { throw new Error('IDBOpenDBRequest: Open database request was blocked because other connections could not be closed'); };
@@ -28,7 +56,7 @@ class IDBFactory {
   deleteDatabase(name) {
     // Make a new request.
     // Set default handlers to ensure errors aren't masked by spotty implementations.
-    const request = new IDBOpenDBRequest(name, false);
+    const request = new IDBOpenDBRequest(name, false, this);
 
     // Watch out for: https://github.com/dhoulb/shelving-mock-indexeddb/issues/3
     request.onblocked = () => { throw new Error('IDBOpenDBRequest: Open database request was blocked because other connections could not be closed'); };
@@ -36,7 +64,122 @@ class IDBFactory {
     return request;
   }
 
+  // List the databases.
+  // Returns a promise for an array of `{name, version}` objects.
+  databases() {
+    // Databases that exist.
+    // Databases that are being deleted still exist until all their connections have closed.
+    const databases = Object.assign(Object.create(null), versions);
+
+    // Databases that are being upgraded are listed with their new version (new databases are listed during their first upgrade too).
+    for (const name in connections) {
+      for (const connection of connections[name]) {
+        if (connection._active && connection._active.mode === 'versionchange') databases[name] = connection.version;
+      }
+    }
+
+    // Return a promise.
+    return Promise.resolve(Object.keys(databases).map((name) => ({name, version: databases[name]})));
+  }
+
+  // Run a test (or any other callback) and add the seed to any error it throws.
+  // If the callback returns a promise (e.g. an async test) the seed is added to any error it rejects with.
+  // Returns whatever the callback returns.
+  reportSeed(callback) {
+    // Check params.
+    if (typeof callback !== 'function') {
+      throw new TypeError('IDBFactory.reportSeed(): callback must be a function');
+    }
+
+    // Run.
+    let result;
+    try {
+      result = callback();
+    } catch (err) {
+      throw this._label(err);
+    }
+    if (result instanceof Object && typeof result.then === 'function') return result.then(undefined, (err) => { throw this._label(err); });
+    return result;
+  }
+
+  // Run a callback in a new task after a delay.
+  // If this factory has a seed, errors thrown by the callback (e.g. failed expectations in event handlers) include the seed so the order can be replayed.
+  _setTimeout(callback, delay) {
+    return setTimeout(() => {
+      try {
+        callback();
+      } catch (err) {
+        throw this._label(err);
+      }
+    }, delay);
+  }
+
+  // Run a callback as soon as the current task (and its microtasks) has finished.
+  // This is before any timeouts set during the task, and much quicker than a new timeout (where there's no setImmediate() it falls back to one).
+  _setImmediate(callback) {
+    if (typeof setImmediate !== 'function') return this._setTimeout(callback, 0);
+    return setImmediate(() => {
+      try {
+        callback();
+      } catch (err) {
+        throw this._label(err);
+      }
+    });
+  }
+
+  // Add this factory's seed (if it has one) to the message of an error.
+  // Returns the error.
+  _label(err) {
+    if (this._seed !== undefined && err instanceof Error && err.message.indexOf('IndexedDB mock seed') === -1) {
+      const label = ' (IndexedDB mock seed: ' + this._seed + ')';
+      if (typeof err.stack === 'string') err.stack = err.stack.replace(err.message, err.message + label);
+      err.message += label;
+    }
+    return err;
+  }
+
+  // Compare two keys.
+  // Returns -1 if a is lower than b, 1 if a is higher than b, or 0 if they're equal.
   static cmp(a, b) {
+    // Check params.
+    if (!validKey(a)) {
+      throw new DOMException('IDBFactory.cmp(): first argument must be a valid key (number, string, date, binary, array)', 'DataError');
+    }
+    if (!validKey(b)) {
+      throw new DOMException('IDBFactory.cmp(): second argument must be a valid key (number, string, date, binary, array)', 'DataError');
+    }
+
+    // Keys of different types are sorted by type.
+    const typeA = keyTypes.indexOf(keyType(a));
+    const typeB = keyTypes.indexOf(keyType(b));
+    if (typeA !== typeB) return typeA < typeB ? -1 : 1;
+
+    // Arrays are compared item by item, then by length.
+    if (a instanceof Array) {
+      for (let i = 0; i < a.length && i < b.length; i++) {
+        const result = IDBFactory.cmp(a[i], b[i]);
+        if (result) return result;
+      }
+      return IDBFactory.cmp(a.length, b.length);
+    }
+
+    // Binary keys are compared byte by byte, then by length.
+    if (typeA === keyTypes.indexOf('binary')) {
+      const bytesA = keyBytes(a);
+      const bytesB = keyBytes(b);
+      for (let i = 0; i < bytesA.length && i < bytesB.length; i++) {
+        if (bytesA[i] !== bytesB[i]) return bytesA[i] < bytesB[i] ? -1 : 1;
+      }
+      return IDBFactory.cmp(bytesA.length, bytesB.length);
+    }
+
+    // Dates are compared by time.
+    if (a instanceof Date) {
+      a = a.getTime();
+      b = b.getTime();
+    }
+
+    // Numbers and strings (strings are compared by code unit).
     if (a < b) return -1;
     else if (a > b) return 1;
     else return 0;
@@ -46,19 +189,22 @@ class IDBFactory {
 // IDBDatabase database connection mock.
 class IDBDatabase extends EventTarget {
   // Construct.
-  constructor(name, version, data) {
+  constructor(name, version, data, factory = new IDBFactory) {
     // Check params.
-    if (!validIdentifier(name)) {
-      throw new TypeError('IDBDatabase: dbName must be a valid identifier');
+    if (!validName(name)) {
+      throw new TypeError('IDBDatabase: dbName must be a string');
     }
     if (!validVersion(version)) {
       throw new TypeError('IDBDatabase: version must be a valid version');
     }
-    if (!(data instanceof Object)) {
+    if (typeof data !== 'object' || data === null) {
       throw new TypeError('IDBDatabase: data must be an object');
     }
-    if (data.constructor !== Object) {
-      throw new TypeError('IDBDatabase: data must be a plain object');
+    if (Object.getPrototypeOf(data) !== null) {
+      throw new TypeError('IDBDatabase: data must be an object with no prototype');
+    }
+    if (!(factory instanceof IDBFactory)) {
+      throw new TypeError('IDBDatabase: factory must be an IDBFactory');
     }
 
     // EventTarget.
@@ -71,6 +217,7 @@ class IDBDatabase extends EventTarget {
 
     this._name = name;
     this._version = version;
+    this._factory = factory;
 
     // this._data = data;
     Object.defineProperty(this, '_data', {
@@ -83,10 +230,10 @@ class IDBDatabase extends EventTarget {
     });
 
     // Vars.
-    this._queue = []; // Secret transaction queue for this database.
+    this._transactions = []; // Unfinished transactions on this connection.
     this._closed = false; // closed flag.
     this._closing = false; // closing flag.
-    this._active = null; // Active transaction.
+    this._active = null; // Active 'versionchange' transaction.
     this._timeout = null; // Run timeout.
 
     // Add this to list of open connections.
@@ -104,7 +251,9 @@ class IDBDatabase extends EventTarget {
   }
 
   get objectStoreNames() {
-    const names = Object.keys(this._data);
+    // During an upgrade the schema is read from the 'versionchange' transaction (so created and renamed stores are included).
+    const data = this._active && this._active.mode === 'versionchange' ? this._active._data : this._data;
+    const names = Object.keys(data);
     names.sort();
     // Fake contains from DOMStringList
     names.contains = (valueTest) => names.indexOf(valueTest) !== -1;
@@ -117,7 +266,7 @@ class IDBDatabase extends EventTarget {
   }
 
   // Create a transaction on this database that accesses one or more stores.
-  transaction(storeNames, mode) {
+  transaction(storeNames, mode, {durability = 'default'} = {durability: 'default'}) {
     // Check params.
     if (typeof storeNames === 'string') storeNames = [storeNames];
     if (!(storeNames instanceof Array)) {
@@ -127,8 +276,8 @@ class IDBDatabase extends EventTarget {
       throw new TypeError('IDBDatabase.transaction(): storeNames cannot be empty');
     }
     for (let i = 0; i < storeNames.length; i++) {
-      if (!validIdentifier(storeNames[i])) {
-        throw new TypeError('IDBDatabase.transaction(): storeNames must only include valid identifiers');
+      if (!validName(storeNames[i])) {
+        throw new TypeError('IDBDatabase.transaction(): storeNames must only include strings');
       }
     }
     if (!('length' in storeNames) || !storeNames.length) {
@@ -137,6 +286,9 @@ class IDBDatabase extends EventTarget {
     if (mode !== 'readonly' && mode !== 'readwrite') {
       throw new TypeError('IDBDatabase.transaction(): mode must be readwrite or readonly');
     }
+    if (durability !== 'default' && durability !== 'strict' && durability !== 'relaxed') {
+      throw new TypeError('IDBDatabase.transaction(): durability must be default, strict, or relaxed');
+    }
 
     // Check state.
     if (this._closed) {
@@ -147,26 +299,30 @@ class IDBDatabase extends EventTarget {
     }
 
     // In 20ms run the database, to run this pending transaction.
-    if (!this._timeout) setTimeout(() => this._run(), 20);
+    if (!this._timeout) this._timeout = this._factory._setTimeout(() => this._run(), 20);
 
     // Return new transaction.
-    const transaction = new IDBTransaction(this, storeNames, mode);
-    this._queue.push(transaction);
-    return transaction;
+    return new IDBTransaction(this, storeNames, mode, {durability});
   }
 
   // Create object store.
   createObjectStore(storeName, {keyPath = null, autoIncrement = false} = {keyPath: null, autoIncrement: false}) {
     // Check params.
-    if (!validIdentifier(storeName)) {
-      throw new TypeError('IDBDatabase.createObjectStore(): storeName must be valid identifier');
+    if (!validName(storeName)) {
+      throw new TypeError('IDBDatabase.createObjectStore(): storeName must be a string');
     }
-    if (!validKeyPath(keyPath) && keyPath !== null) {
-      throw new TypeError('IDBDatabase.createObjectStore(): keyPath must be a valid keyPath or null');
+    if (!validKeyPath(keyPath) && !validMultiKeyPath(keyPath) && keyPath !== null) {
+      throw new TypeError('IDBDatabase.createObjectStore(): keyPath must be a valid keyPath, array of valid keyPaths, or null');
     }
     if (typeof autoIncrement !== 'boolean') {
       throw new TypeError('IDBDatabase.createObjectStore(): autoIncrement must be boolean');
     }
+    if (autoIncrement && validMultiKeyPath(keyPath)) {
+      throw new DOMException('IDBDatabase.createObjectStore(): autoIncrement cannot be used with an array keyPath', 'InvalidAccessError');
+    }
+    if (autoIncrement && keyPath === '') {
+      throw new DOMException('IDBDatabase.createObjectStore(): autoIncrement cannot be used with an empty keyPath', 'InvalidAccessError');
+    }
 
     // Check state.
     if (this._closed) {
@@ -178,12 +334,15 @@ class IDBDatabase extends EventTarget {
     if (this._active.mode !== 'versionchange') {
       throw new DOMException('IDBDatabase.createObjectStore(): Can only be used used within an active \'versionchange\' transaction, not \'' + this._active.mode + '\'', 'InvalidStateError');
     }
+    if (!this._active._active) {
+      throw new DOMException('IDBDatabase.createObjectStore(): Transaction is not active', 'TransactionInactiveError');
+    }
     if (this._active._data[storeName]) {
       throw new DOMException('IDBDatabase.createObjectStore(): Object store \'' + storeName + '\' already exists', 'ConstraintError');
     }
 
     // Create a plain data template for this object store.
-    this._active._data[storeName] = {records: new Map, indexes: {}, key: 0, keyPath, autoIncrement};
+    this._active._data[storeName] = {records: new Map, indexes: Object.create(null), key: 0, keyPath, autoIncrement};
 
     // Make and return the new IDBObjectStore.
     return new IDBObjectStore(this._active, storeName);
@@ -192,8 +351,8 @@ class IDBDatabase extends EventTarget {
   // Delete object store.
   deleteObjectStore(storeName) {
     // Check params.
-    if (!validIdentifier(storeName)) {
-      throw new TypeError('IDBDatabase.deleteObjectStore(): storeName must be valid identifier');
+    if (!validName(storeName)) {
+      throw new TypeError('IDBDatabase.deleteObjectStore(): storeName must be a string');
     }
 
     // Check state.
@@ -206,6 +365,9 @@ class IDBDatabase extends EventTarget {
     if (this._active.mode !== 'versionchange') {
       throw new DOMException('IDBDatabase.deleteObjectStore(): Can only be used used within an active \'versionchange\' transaction', 'InvalidStateError');
     }
+    if (!this._active._active) {
+      throw new DOMException('IDBDatabase.deleteObjectStore(): Transaction is not active', 'TransactionInactiveError');
+    }
     if (!this._active._data[storeName]) {
       throw new DOMException('IDBDatabase.deleteObjectStore(): Object store \'' + storeName + '\' does not exist', 'NotFoundError');
     }
@@ -227,11 +389,16 @@ class IDBDatabase extends EventTarget {
     // Blocks any new transactions from being made.
     this._closing = true;
 
-    // Run any remaining transactions before we close.
-    this._run();
+    // Close now, or once any remaining transactions have finished.
+    if (!this._transactions.length) this._close();
+  }
 
+  // Finish closing the connection to this database.
+  _close() {
     // Closed.
     this._closed = true;
+    clearTimeout(this._timeout);
+    this._timeout = false;
 
     // Remove this connection from connections list.
     connections[this.name] = connections[this.name].filter((connection) => connection !== this);
@@ -249,7 +416,7 @@ class IDBDatabase extends EventTarget {
     if (this._closing) {
       throw new DOMException('IDBDatabase._upgradeTransaction(): Database connection is closing', 'InvalidStateError');
     }
-    if (this._queue.length) {
+    if (this._transactions.length) {
       throw new DOMException('IDBDatabase._upgradeTransaction(): Database connection already has transactions', 'InvalidStateError');
     }
 
@@ -260,29 +427,50 @@ class IDBDatabase extends EventTarget {
         (storage[this.name] && Object.keys(storage[this.name])) || [];
 
     // Return new transaction.
-    const transaction = new IDBTransaction(this, storeNames, 'versionchange');
-    this._queue.push(transaction);
-    return transaction;
+    this._active = new IDBTransaction(this, storeNames, 'versionchange');
+    return this._active;
   }
 
-  // Run any pending transactions.
+  // Start any pending transactions that can run.
+  // Transactions on all connections to this database are scheduled together, in the order they were created.
+  // A transaction waits for earlier unfinished transactions that block it (see `transactionBlocks()`), and otherwise runs at the same time as them.
   _run() {
-    // Check state.
-    if (this._closed) {
-      throw new DOMException('IDBDatabase._run(): Database connection is closed', 'InvalidStateError');
-    }
-
     // Stop run() running run again in future.
     clearTimeout(this._timeout);
     this._timeout = false;
 
-    // Run each transaction.
-    while (this._queue.length) {
-      // Activate and run.
-      this._active = this._queue.shift();
-      this._active._run();
-      this._active = null;
-    }
+    // Start each transaction that isn't blocked.
+    // Starting a transaction can finish it (and run this again), so loop over a copy.
+    const pending = (transactions[this._name] || []).slice();
+    pending.forEach((transaction, i) => {
+      if (transaction._started) return;
+      if (pending.slice(0, i).some((earlier) => !earlier._finished && transactionBlocks(earlier, transaction))) return;
+      transaction._run();
+    });
+  }
+
+  // Run the next ready request on this database in a new task.
+  // Without a seed transactions (on all connections to this database) take turns, with a seed the next one is chosen randomly.
+  // Only one request runs per task, so the order only depends on the seed and the order requests were made in (not on how long anything takes).
+  _tick() {
+    const name = this._name;
+    if (ticks[name] !== undefined) return;
+    ticks[name] = this._factory._setTimeout(() => {
+      delete ticks[name];
+
+      // Pick a transaction.
+      const ready = steps[name];
+      if (!ready || !ready.length) return;
+      const random = this._factory._random;
+      const transaction = ready.splice(random ? Math.floor(random() * ready.length) : 0, 1)[0];
+
+      // Run its next request, then run the next ready request in another task.
+      try {
+        transaction._step();
+      } finally {
+        if (ready.length) this._tick();
+      }
+    }, 0);
   }
 }
 
@@ -290,7 +478,7 @@ class IDBDatabase extends EventTarget {
 class IDBTransaction extends EventTarget {
   // Construct.
 
-  constructor(db, storeNames, mode = 'readonly') {
+  constructor(db, storeNames, mode = 'readonly', {durability = 'default'} = {durability: 'default'}) {
     // Check params.
     if (!(db instanceof IDBDatabase)) {
       throw new TypeError('IDBTransaction: db must be an IDBDatabase');
@@ -299,31 +487,49 @@ class IDBTransaction extends EventTarget {
       throw new TypeError('IDBTransaction: storeNames must be array');
     }
     for (let i = 0; i < storeNames.length; i++) {
-      if (!validIdentifier(storeNames[i])) {
-        throw new TypeError('IDBTransaction: storeNames must only include valid identifiers');
+      if (!validName(storeNames[i])) {
+        throw new TypeError('IDBTransaction: storeNames must only include strings');
       }
     }
     if (mode !== 'readonly' && mode !== 'readwrite' && mode !== 'versionchange') {
       throw new TypeError('IDBTransaction: mode must be readwrite, readonly, or versionchange');
     }
+    if (durability !== 'default' && durability !== 'strict' && durability !== 'relaxed') {
+      throw new TypeError('IDBTransaction: durability must be default, strict, or relaxed');
+    }
 
     // EventTarget.
     super(db, ['complete', 'error', 'abort']);
 
     this._db = db;
     this._mode = mode;
+    this._durability = durability;
     this._storeNames = storeNames;
 
     // Vars.
-    this._stores = {}; // List of instantiated IDBObjectStore instances that have been initialised for this transaction.
+    this._stores = Object.create(null); // List of instantiated IDBObjectStore instances that have been initialised for this transaction.
     this._queue = []; // Secret requests queue for this transaction.
     this._finished = false; // Whether this transaction is finished or not (can have requests made on it).
-    this._active = null; // The active request on this transaction.
+    this._active = true; // Whether requests can be made on this transaction (only while it's being created and while its request events are dispatched).
+    this._started = false; // Whether this transaction has started running (it may have to wait for other transactions first).
+    this._current = null; // The request currently running on this transaction.
+    this._original = null; // The database's data, while this transaction works on a copy of it.
     this._aborted = false; // Whether this transaction has been aborted.
+    this._error = null; // Error that caused this transaction to abort, if any.
+    this._committing = false; // Whether commit() has been called (no more requests can be made on it).
+    this._renames = []; // Object stores and indexes renamed by this transaction, as [store or index, old name] pairs.
 
     // TODO(philipwalton): in the original this was a getter that prevented
     // setting, but we have to allow setting in the `_run()` method.
     this._data = db._data;
+
+    // Deactivate once the task that created this transaction has finished.
+    setTimeout(() => this._active = false, 0);
+
+    // Add this to the list of unfinished transactions on the connection and the database.
+    db._transactions.push(this);
+    if (!transactions[db.name]) transactions[db.name] = [];
+    transactions[db.name].push(this);
   }
 
   get db() {
@@ -334,6 +540,10 @@ class IDBTransaction extends EventTarget {
     return this._mode;
   }
 
+  get durability() {
+    return this._durability;
+  }
+
   get objectStoreNames() {
     const storeNames = this._storeNames.slice();
     // Fake contains from DOMStringList
@@ -345,15 +555,15 @@ class IDBTransaction extends EventTarget {
     if (!this._finished) {
       throw new Error('IDBTransaction: error can only be accessed after transaction has finished');
     }
-    return null;
+    return this._error;
   }
 
 
   // Get object store.
   objectStore(storeName) {
     // Check params.
-    if (!validIdentifier(storeName)) {
-      throw new TypeError('IDBTransaction.objectStore(): storeName must be valid identifier');
+    if (!validName(storeName)) {
+      throw new TypeError('IDBTransaction.objectStore(): storeName must be a string');
     }
     // Check state.
     if (this._finished) {
@@ -385,17 +595,51 @@ class IDBTransaction extends EventTarget {
     if (this._finished) {
       throw new DOMException('IDBTransaction.abort(): Transaction has already finished', 'InvalidStateError');
     }
+    if (this._committing) {
+      throw new DOMException('IDBTransaction.abort(): Transaction is committing', 'InvalidStateError');
+    }
 
     // Aborted.
+    this._abort();
+  }
+
+  // Commit this transaction.
+  // Requests that have already been made are completed, but no new requests can be made.
+  commit() {
+    // Checks.
+    if (this._finished) {
+      throw new DOMException('IDBTransaction.commit(): Transaction has already finished', 'InvalidStateError');
+    }
+    if (this._committing) {
+      throw new DOMException('IDBTransaction.commit(): Transaction is already committing', 'InvalidStateError');
+    }
+    if (!this._active) {
+      throw new DOMException('IDBTransaction.commit(): Transaction is not active', 'InvalidStateError');
+    }
+
+    // Committing.
+    this._committing = true;
+  }
+
+  // Mark this transaction as aborted.
+  // Also used when a failed request aborts a transaction (which is allowed while it's committing).
+  _abort() {
     this._finished = true;
     this._aborted = true;
+    this._active = false;
   }
 
   // Add a request to this transaction.
   _request(input, callback) {
     // Checks.
     if (this._finished) {
-      throw new DOMException('IDBTransaction: Cannot create request when transaction has already finished', 'InvalidStateError');
+      throw new DOMException('IDBTransaction: Cannot create request when transaction has already finished', 'TransactionInactiveError');
+    }
+    if (!this._active) {
+      throw new DOMException('IDBTransaction: Cannot create request when transaction is not active', 'TransactionInactiveError');
+    }
+    if (this._committing) {
+      throw new DOMException('IDBTransaction: Cannot create request when transaction is committing', 'TransactionInactiveError');
     }
 
     // New or existing request.
@@ -412,59 +656,137 @@ class IDBTransaction extends EventTarget {
   }
 
   // Run this transaction.
+  // Requests are run one per task, so handlers (and promise callbacks in the same task) can make more requests.
   _run() {
     // Check state.
-    if (this._finished) {
-      throw new DOMException('IDBTransaction._run(): Transaction has already finished', 'InvalidStateError');
-    }
-    if (this._active) {
+    if (this._started) {
       throw new DOMException('IDBTransaction._run(): Transaction is currently running', 'InvalidStateError');
     }
+    this._started = true;
+
+    // Aborted before it started running.
+    if (this._aborted) {
+      this._finish();
+      return;
+    }
+
+    const originalDataRef = this._original = this._data;
+    this._data = Object.create(null);
 
-    const originalDataRef = this._data;
-    this._data = {};
-    for (const store in originalDataRef) {
-      // This is fussy because we need to clone the records Map manually.
-      // clone() borks at any non-JSON values.
+    // Copy the object stores in this transaction's scope ('versionchange' transactions can change every object store).
+    const storeNames = this._mode === 'versionchange' ? Object.keys(originalDataRef) : this._storeNames;
+    for (const store of storeNames) {
+      if (!originalDataRef[store]) continue;
+      // This is fussy because we need to copy the records Map manually.
+      // Records themselves aren't copied (they're cloned when they're put).
       this._data[store] = Object.assign({}, originalDataRef[store], {
         records: new Map(originalDataRef[store].records),
-        indexes: Object.assign({}, originalDataRef[store].indexes),
+        indexes: Object.assign(Object.create(null), originalDataRef[store].indexes),
       });
     }
 
-    // Run each request in the request queue.
-    while (!this._aborted && this._queue.length) {
-      // Activate and run.
-      this._active = this._queue.shift();
-      this._active._run();
-      this._active = false;
+    // Run the first request.
+    this._ready();
+  }
+
+  // Wait for this transaction's turn to run its next request (see `IDBDatabase._tick()`).
+  _ready() {
+    const name = this._db.name;
+    if (!steps[name]) steps[name] = [];
+    steps[name].push(this);
+    this._db._tick();
+  }
+
+  // Run the next request in the request queue.
+  // The transaction is active while the request's events are dispatched and until the task ends (i.e. after microtasks have run).
+  // Once no requests are outstanding the transaction commits automatically.
+  _step() {
+    // Finished?
+    if (this._aborted || !this._queue.length) {
+      this._finish();
+      return;
     }
 
+    // End of this task.
+    // Scheduled before the request runs (and before any timeouts set by handlers, which must see an inactive transaction).
+    const factory = this._db._factory;
+    factory._setImmediate(() => {
+      // Deactivate.
+      this._active = false;
+
+      // Finish now, or wait for a turn to run the next request.
+      if (this._aborted || !this._queue.length) this._finish();
+      else this._ready();
+    });
+
+    // Activate and run.
+    this._current = this._queue.shift();
+    this._active = true;
+    this._current._run();
+    this._current = null;
+  }
+
+  // Finish this transaction by committing or discarding its changes.
+  _finish() {
+    // Finished.
+    this._finished = true;
+    this._active = false;
+
+    // Remove this from the list of unfinished transactions on the connection and the database.
+    const db = this._db;
+    db._transactions = db._transactions.filter((transaction) => transaction !== this);
+    if (transactions[db.name]) transactions[db.name] = transactions[db.name].filter((transaction) => transaction !== this);
+    if (db._active === this) db._active = null;
+
     // Was it aborted?
+    let event;
     if (this._aborted) {
       // Abort any pending queue.
       while (this._queue.length) this._queue.shift()._abort();
 
-      // Finished.
-      this._finished = true;
+      // Discard the changes.
+      if (this._original) this._data = this._original;
+
+      // Revert the names of any renamed object stores and indexes.
+      for (const [renamed, name] of this._renames.reverse()) {
+        if (renamed instanceof IDBObjectStore) this._storeNames = this._storeNames.map((storeName) => storeName === renamed._name ? name : storeName);
+        renamed._name = name;
+      }
 
       // 'abort' event.
-      // This is a 'non-erroring' abort, i.e. 'error' isn't set.
-      this.dispatchEvent(new Event('abort', {bubbles: true, cancelable: false}));
+      // 'error' is only set if the abort was caused by a failed request.
+      event = new Event('abort', {bubbles: true, cancelable: false});
     } else {
       // Commit the changes back into the database.
-      for (const store in originalDataRef) {
-        delete originalDataRef[store];
-      }
-      for (const store in this._data) {
-        originalDataRef[store] = this._data[store];
+      // 'versionchange' transactions replace the whole schema, others only replace the object stores in their scope (other transactions may be changing other object stores).
+      const originalDataRef = this._original;
+      if (this._mode === 'versionchange') {
+        for (const store in originalDataRef) {
+          delete originalDataRef[store];
+        }
+        for (const store in this._data) {
+          originalDataRef[store] = this._data[store];
+        }
+      } else {
+        for (const store of this._storeNames) {
+          originalDataRef[store] = this._data[store];
+        }
       }
 
-      // Finished.
-      this._finished = true;
-
       // 'complete' event.
-      this.dispatchEvent(new Event('complete', {bubbles: false, cancelable: false}));
+      event = new Event('complete', {bubbles: false, cancelable: false});
+    }
+
+    // Dispatch the event.
+    // Closing connections are closed and waiting transactions are started even if a handler throws.
+    try {
+      this.dispatchEvent(event);
+    } finally {
+      // Finish closing the connection if this was its last transaction.
+      if (db._closing && !db._closed && !db._transactions.length) db._close();
+
+      // Start any transactions that were waiting for this one.
+      db._run();
     }
   }
 }
@@ -543,13 +865,42 @@ class IDBRequest extends EventTarget {
   _run() {
     // Get result.
     this._active = true;
-    this._result = this.callback(this);
+    try {
+      this._result = this.callback(this);
+    } catch (err) {
+      // DOMExceptions (e.g. ConstraintError) fail the request (and its transaction) rather than throwing.
+      if (err instanceof DOMException) {
+        this._fail(err);
+        return;
+      }
+      throw err;
+    }
     this._active = false;
 
     // Event.
     this.dispatchEvent(new Event('success', {bubbles: false, cancelable: false}));
   }
 
+  // Fail this request.
+  // Fires 'error' on the request (which bubbles up to the transaction and database) and aborts the transaction.
+  // The transaction isn't aborted if any handler calls preventDefault() on the event.
+  _fail(err) {
+    // Error.
+    this._result = undefined;
+    this._error = err;
+    this._active = false;
+
+    // Event.
+    const event = new Event('error', {bubbles: true, cancelable: true});
+    this.dispatchEvent(event);
+
+    // Abort the transaction (unless a handler prevented it, or already aborted it).
+    if (!event.defaultPrevented && !this._transaction._finished) {
+      this._transaction._error = err;
+      this._transaction._abort();
+    }
+  }
+
   // Rerun this request.
   // By adding it to the end of its transaction's queue.
   _rerun() {
@@ -574,13 +925,13 @@ class IDBRequest extends EventTarget {
 // IDBOpenDBRequest mock.
 class IDBOpenDBRequest extends EventTarget {
   // Construct.
-  constructor(dbName, version) {
+  constructor(dbName, version, factory = new IDBFactory) {
     // Checks.
-    if (!validIdentifier(dbName)) {
-      throw new TypeError('IDBOpenDBRequest: dbName must be valid identifier');
+    if (!validName(dbName)) {
+      throw new TypeError('IDBOpenDBRequest: dbName must be a string');
     }
-    if (!validVersion(version) && version !== false) {
-      throw new TypeError('IDBOpenDBRequest: version must be a valid version or false');
+    if (!validVersion(version) && version !== false && version !== undefined) {
+      throw new TypeError('IDBOpenDBRequest: version must be a valid version, false, or undefined');
     }
 
     // EventTarget.
@@ -588,15 +939,17 @@ class IDBOpenDBRequest extends EventTarget {
 
     this._dbName = dbName;
     this._version = version;
+    this._factory = factory;
 
     // Vars.
     this._result = undefined; // The result, if any, that this request generated.
     this._active = true; // Whether request is still active (pending) or complete (done).
     this._transaction = null; // Transaction under this request.
+    this._error = null; // Error, if any, on this request. Used when an upgrade is aborted.
 
     // Open requests automatically run.
     // Allow 20ms — enough time for user to attach handlers etc.
-    setTimeout(() => this.run(), 20);
+    factory._setTimeout(() => this.run(), 20);
   }
 
   get transaction() {
@@ -622,7 +975,7 @@ class IDBOpenDBRequest extends EventTarget {
     if (this._active) {
       throw new DOMException('IDBRequest: Cannot get error until request is done', 'InvalidStateError');
     }
-    return null;
+    return this._error;
   }
 
   // Run this request.
@@ -638,6 +991,9 @@ class IDBOpenDBRequest extends EventTarget {
     // Already stopped.
     this._active = false;
 
+    // No version means open the current version (or create version 1 if the database doesn't exist).
+    if (this._version === undefined) this._version = oldVersion || 1;
+
     // Check version.
     if (!this._version) {
       // Delete request (falsy/zero version).
@@ -655,7 +1011,7 @@ class IDBOpenDBRequest extends EventTarget {
       throw new DOMException('IDBOpenDBRequest: Requested version is lower than current version', 'VersionError');
     } else if (this._version === oldVersion) {
       // Request for current version.
-      this._result = new IDBDatabase(this._dbName, this._version, storage[this._dbName]);
+      this._result = new IDBDatabase(this._dbName, this._version, storage[this._dbName], this._factory);
 
       // Dispatch 'success'.
       this.dispatchEvent(new Event('success', {bubbles: false, cancelable: false}));
@@ -668,7 +1024,8 @@ class IDBOpenDBRequest extends EventTarget {
       // TODO(philipwalton): the new version of the data should get the data
       // from the existing version (if one exists).
       // const db = new IDBDatabase(this._dbName, this._version, {}); // New database.
-      const db = new IDBDatabase(this._dbName, this._version, storage[this._dbName] || {});
+      const data = storage[this._dbName] || Object.create(null);
+      const db = new IDBDatabase(this._dbName, this._version, data, this._factory);
 
       const tx = db._upgradeTransaction(); // 'versionchange' transaction.
 
@@ -678,20 +1035,46 @@ class IDBOpenDBRequest extends EventTarget {
         this._result = db;
 
         // Dispatch 'upgradeneeded' on the IDBOpenDBRequest.
+        // A handler that throws aborts the upgrade (and the open request fails with AbortError).
         this._transaction = tx;
-        this.dispatchEvent(new IDBVersionChangeEvent('upgradeneeded', oldVersion, this._version));
+        try {
+          this.dispatchEvent(new IDBVersionChangeEvent('upgradeneeded', oldVersion, this._version));
+        } catch (err) {
+          if (!tx._finished) {
+            tx._error = new DOMException('IDBOpenDBRequest: An \'upgradeneeded\' handler threw an error', 'AbortError');
+            tx._abort();
+          }
+        }
         this._transaction = null;
       });
 
-      // Run the database now to run the 'versionchange' transaction.
-      db._run();
+      // Once the 'versionchange' transaction has completed...
+      tx.addEventListener('complete', () => {
+        // Commit the changes.
+        versions[this._dbName] = this._version; // Increment version number.
+        storage[this._dbName] = data; // Set current global data store to request database's store.
 
-      // Commit the changes.
-      versions[this._dbName] = this._version; // Increment version number.
-      storage[this._dbName] = db._data; // Set current global data store to request database's store.
+        // Dispatch 'success' event on the open request.
+        this.dispatchEvent(new Event('success', {bubbles: false, cancelable: false}));
+      });
 
-      // Dispatch 'success' event on the open request.
-      this.dispatchEvent(new Event('success', {bubbles: false, cancelable: false}));
+      // If the 'versionchange' transaction aborted...
+      // The transaction has already discarded the new schema, so the database keeps its old version, object stores and indexes.
+      tx.addEventListener('abort', () => {
+        // Close the connection (it reports the old version, or 0 if the database didn't exist).
+        db._version = oldVersion;
+        db.close();
+
+        // Error.
+        this._result = undefined;
+        this._error = new DOMException('IDBOpenDBRequest: Upgrade transaction was aborted', 'AbortError');
+
+        // Dispatch 'error' event on the open request.
+        this.dispatchEvent(new Event('error', {bubbles: true, cancelable: true}));
+      });
+
+      // Run the database now to run the 'versionchange' transaction.
+      db._run();
     }
   }
 
@@ -704,13 +1087,24 @@ class IDBOpenDBRequest extends EventTarget {
       connections[this._dbName].forEach((connection) => connection.dispatchEvent(new Event('versionchange', {bubbles: false, cancelable: false})));
 
       // Fail if connections are still open.
-      if (connections[this._dbName].length) {
+      if (connections[this._dbName].some((connection) => !connection._closing)) {
         // 'blocked' event.
         this.dispatchEvent(new Event('blocked', {bubbles: false, cancelable: false}));
 
         // Fail.
         return false;
       }
+
+      // Wait for connections that are closing (they close once their transactions have finished), then run again.
+      const closing = connections[this._dbName];
+      if (closing.length) {
+        closing.forEach((connection) => connection.addEventListener('close', () => {
+          if (!closing.every((c) => c._closed)) return;
+          this._active = true;
+          this.run();
+        }));
+        return false;
+      }
     }
 
     // Win.
@@ -726,8 +1120,8 @@ class IDBObjectStore {
     if (!(transaction instanceof IDBTransaction)) {
       throw new TypeError('IDBObjectStore: transaction must be a transaction');
     }
-    if (!validIdentifier(name)) {
-      throw new TypeError('IDBObjectStore: storeName must be valid identifier');
+    if (!validName(name)) {
+      throw new TypeError('IDBObjectStore: storeName must be a string');
     }
 
     // Check state.
@@ -752,6 +1146,42 @@ class IDBObjectStore {
     return this._name;
   }
 
+  // Rename this object store.
+  // Can only be used within a 'versionchange' transaction.
+  set name(name) {
+    // Check params.
+    if (!validName(name)) {
+      throw new TypeError('IDBObjectStore.name: name must be a string');
+    }
+
+    // Check state.
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.name: Transaction is not active', 'TransactionInactiveError');
+    }
+    if (this._transaction.mode !== 'versionchange') {
+      throw new DOMException('IDBObjectStore.name: Can only be renamed within an active \'versionchange\' transaction, not \'' + this._transaction.mode + '\'', 'InvalidStateError');
+    }
+    if (!this._transaction._data[this._name]) {
+      throw new DOMException('IDBObjectStore.name: Object store \'' + this._name + '\' does not exist', 'InvalidStateError');
+    }
+    if (name === this._name) return;
+    if (this._transaction._data[name]) {
+      throw new DOMException('IDBObjectStore.name: Object store \'' + name + '\' already exists', 'ConstraintError');
+    }
+
+    // Move the object store's data to the new name on the transaction.
+    const transaction = this._transaction;
+    transaction._data[name] = transaction._data[this._name];
+    delete transaction._data[this._name];
+    transaction._storeNames = transaction._storeNames.map((storeName) => storeName === this._name ? name : storeName);
+    delete transaction._stores[this._name];
+    transaction._stores[name] = this;
+
+    // Rename (and remember the old name in case the transaction is aborted).
+    transaction._renames.push([this, this._name]);
+    this._name = name;
+  }
+
   get keyPath() {
     return this._keyPath;
   }
@@ -769,12 +1199,12 @@ class IDBObjectStore {
   count(key = undefined) {
     // Check params.
     if (!validKey(key) && !validKeyRange(key) && key !== undefined) {
-      throw new DOMException('count(): The key parameter was provided but does not contain a valid key (number, string, date), key range (IDBKeyRange or array of valid keys), or undefined', 'DataError');
+      throw new DOMException('count(): The key parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange), or undefined', 'DataError');
     }
 
     // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBObjectStore.count(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.count(): Transaction is not active', 'TransactionInactiveError');
     }
 
     // Return an IDBRequest on the transaction returns the count from a cursor.
@@ -800,12 +1230,12 @@ class IDBObjectStore {
   get(key) {
     // Check params.
     if (!validKey(key) && !validKeyRange(key)) {
-      throw new DOMException('get(): The key parameter was provided but does not contain a valid key (number, string, date), key range (IDBKeyRange or array of valid keys)', 'DataError');
+      throw new DOMException('get(): The key parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange)', 'DataError');
     }
 
     // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBObjectStore.get(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.get(): Transaction is not active', 'TransactionInactiveError');
     }
 
     // Return an IDBRequest on the transaction.
@@ -823,6 +1253,88 @@ class IDBObjectStore {
     });
   }
 
+  // Get the primary key of a single result.
+  // Returns a request that fires a 'success' event when its result is available.
+  // `request.result` will be either:
+  // 1. The primary key of the first result with a key matching `key`.
+  // 2. `undefined`, if there are no matching results.
+  getKey(key) {
+    // Check params.
+    if (!validKey(key) && !validKeyRange(key)) {
+      throw new DOMException('getKey(): The key parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange)', 'DataError');
+    }
+
+    // Check state.
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.getKey(): Transaction is not active', 'TransactionInactiveError');
+    }
+
+    // Return an IDBRequest on the transaction.
+    return this._transaction._request(this, (request) => {
+      // Check state.
+      if (this._transaction._finished) {
+        throw new DOMException('IDBObjectStore.getKey(): Transaction has finished', 'InvalidStateError');
+      }
+      if (!this._transaction._data[this._name]) {
+        throw new DOMException('IDBObjectStore.getKey(): Object store \'' + this._name + '\' does not exist', 'InvalidStateError');
+      }
+
+      // Return the primary key of the first key found by the cursor.
+      return new IDBCursor(request, key).primaryKey;
+    });
+  }
+
+  // Get several results.
+  // Accepts either `(query, count)` or an options dictionary `({query, count, direction})`.
+  // Returns a request that fires a 'success' event when its result is available.
+  // `request.result` is an array of the values for results matching `query` (up to `count` results, if it's set).
+  getAll(query = undefined, count = undefined) {
+    return this._getAll('getAll', getAllOptions('getAll', query, count), (record) => record.value);
+  }
+
+  // Get the primary keys of several results.
+  // Accepts either `(query, count)` or an options dictionary `({query, count, direction})`.
+  // Returns a request that fires a 'success' event when its result is available.
+  // `request.result` is an array of the primary keys for results matching `query` (up to `count` results, if it's set).
+  getAllKeys(query = undefined, count = undefined) {
+    return this._getAll('getAllKeys', getAllOptions('getAllKeys', query, count), (record) => record.primaryKey);
+  }
+
+  // Get the keys and values of several results.
+  // Accepts an options dictionary `({query, count, direction})`.
+  // Returns a request that fires a 'success' event when its result is available.
+  // `request.result` is an array of `IDBRecord` objects for results matching `query` (up to `count` results, if it's set).
+  getAllRecords(options = undefined) {
+    if (!getAllDictionary(options) && options !== undefined) {
+      throw new TypeError('getAllRecords(): options must be a dictionary ({query, count, direction}) or undefined');
+    }
+    return this._getAll('getAllRecords', getAllOptions('getAllRecords', options), (record) => new IDBRecord(record.key, record.primaryKey, record.value));
+  }
+
+  // Shared implementation of getAll(), getAllKeys() and getAllRecords().
+  // `map` converts each record found by the cursor into an item in the result.
+  _getAll(method, {query, count, direction}, map) {
+    // Check state.
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.' + method + '(): Transaction is not active', 'TransactionInactiveError');
+    }
+
+    // Return an IDBRequest on the transaction.
+    return this._transaction._request(this, (request) => {
+      // Check state.
+      if (this._transaction._finished) {
+        throw new DOMException('IDBObjectStore.' + method + '(): Transaction has finished', 'InvalidStateError');
+      }
+      if (!this._transaction._data[this._name]) {
+        throw new DOMException('IDBObjectStore.' + method + '(): Object store \'' + this._name + '\' does not exist', 'InvalidStateError');
+      }
+
+      // Return the records found by the cursor (getAllKeys() doesn't need values, so it uses a key cursor).
+      const cursor = method === 'getAllKeys' ? new IDBCursor(request, query, direction) : new IDBCursorWithValue(request, query, direction);
+      return cursor._records(count).map(map);
+    });
+  }
+
   // Open a cursor to retrieve several results.
   // Returns a request that fires one or more 'success' events when its results is available.
   // Continues to fire 'success' as many times as `cursor.continue()` is called and results are available.
@@ -836,15 +1348,15 @@ class IDBObjectStore {
     }
     // Check params.
     if (!validKey(query) && !validKeyRange(query) && query !== undefined) {
-      throw new DOMException('count(): The query parameter was provided but does not contain a valid key (number, string, date), key range (IDBKeyRange or array of valid keys), or, it is not null or undefined', 'DataError');
+      throw new DOMException('count(): The query parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange), or, it is not null or undefined', 'DataError');
     }
     if (direction !== 'next' && direction !== 'prev') {
       throw new TypeError('IDBCursor: direction must be one of \'next\' or \'prev\' (\'nextunique\' or \'prevunique\' are not relevant for primary keys, which must be unique)');
     }
 
     // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBObjectStore.openCursor(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.openCursor(): Transaction is not active', 'TransactionInactiveError');
     }
 
     // Return an IDBRequest.
@@ -870,55 +1382,98 @@ class IDBObjectStore {
     });
   }
 
-  // Save a document to a specified key.
-  // Returns a request that fires 'success' event when `value` has been saved under `key`.
-  put(value, key, {_errorOnExistingKey = false} = {}) {
-    // Check params.
-    if (this._keyPath) {
-      // Value must be an object if keyPath is set.
-      if (!(value instanceof Object)) {
-        throw new DOMException('IDBObjectStore.put(): value must be an object for object stores where a keyPath is set', 'DataError');
-      }
-
-      // Checks for in-line keys (key at value.keyPath).
-      // key parameter must not be set.
-      if (key !== undefined) {
-        throw new DOMException('IDBObjectStore.put(): key parameter cannot be set (use value.' + this._keyPath + ' instead)', 'DataError');
-      }
-      key = value[this._keyPath];
-      if (key !== undefined && !validKey(key)) {
-        throw new DOMException('IDBObjectStore.put(): inline key (value.' + this._keyPath + ') must be a valid key (number, string, date)', 'DataError');
-      }
-      if (key === undefined && !this._autoIncrement) {
-        throw new DOMException('IDBObjectStore.put(): inline key (value.' + this._keyPath + ') must be set (object store does not autoincrement)', 'DataError');
-      }
-    } else {
-      // Checks for out-of-line keys (key parameter).
-      if (key !== undefined && !validKey(key)) {
-        throw new DOMException('IDBObjectStore.put(): key parameter must be valid key (number, string, date)', 'DataError');
-      }
-      if (key === undefined && !this._autoIncrement) {
-        throw new DOMException('IDBObjectStore.put(): key parameter must be set (object store does not autoincrement)', 'DataError');
-      }
+  // Open a cursor to retrieve the keys of several results.
+  // Works like `openCursor()`, but request.result will be either:
+  // 1. An `IDBCursor` (with `cursor.key` and `cursor.primaryKey` to read keys, and `cursor.continue()` method to continue).
+  // 2. `undefined`, if there are no more results.
+  openKeyCursor(query = undefined, direction = 'next') {
+    if (query === null) {
+      // Edge / IE allow for 'null' to be passed, but it is treated as 'undefined' for mock purposes.
+      query = undefined;
     }
-
-    // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBObjectStore.put(): Transaction has finished', 'InvalidStateError');
+    // Check params.
+    if (!validKey(query) && !validKeyRange(query) && query !== undefined) {
+      throw new DOMException('openKeyCursor(): The query parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange), or, it is not null or undefined', 'DataError');
     }
-    if (this._transaction.mode === 'readonly') {
-      throw new DOMException('IDBObjectStore.put(): Transaction is read only', 'ReadOnlyError');
+    if (direction !== 'next' && direction !== 'prev') {
+      throw new TypeError('IDBCursor: direction must be one of \'next\' or \'prev\' (\'nextunique\' or \'prevunique\' are not relevant for primary keys, which must be unique)');
     }
 
-    // Clone.
-    try {
-      value = clone(value);
-    } catch (err) {
-      throw new DOMException('IDBObjectStore.put(): value must be JSON-friendly value (string, finite number, null, true, false, plain array, plain object)', 'DataCloneError');
+    // Check state.
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.openKeyCursor(): Transaction is not active', 'TransactionInactiveError');
     }
 
-    // Return an IDBRequest on the transaction that saves the value at the key.
-    return this._transaction._request(this, () => {
+    // Return an IDBRequest.
+    // The result of the request is an IDBCursor without a value (if there's a record at the current cursor position),
+    // or undefined (if there isn't, because we iterated past the end or there were no results).
+    let cursor;
+    return this._transaction._request(this, (request) => {
+      // Check state.
+      if (this._transaction._finished) {
+        throw new DOMException('IDBObjectStore.openKeyCursor(): Transaction has finished', 'InvalidStateError');
+      }
+      if (!this._transaction._data[this._name]) {
+        throw new DOMException('IDBObjectStore.openKeyCursor(): Object store \'' + this._name + '\' does not exist', 'InvalidStateError');
+      }
+
+      // Make a cursor if it doesn't exist.
+      // Don't create the cursor until the request is run.
+      // (Otherwise records added by other requests between this request being created and it being run, won't be included.)
+      if (!cursor) cursor = new IDBCursor(request, query, direction);
+
+      // Return cursor if there is a value.
+      return cursor.primaryKey !== undefined ? cursor : undefined;
+    });
+  }
+
+  // Save a document to a specified key.
+  // Returns a request that fires 'success' event when `value` has been saved under `key`.
+  put(value, key, {_errorOnExistingKey = false} = {}) {
+    // Check state.
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.put(): Transaction is not active', 'TransactionInactiveError');
+    }
+    if (this._transaction.mode === 'readonly') {
+      throw new DOMException('IDBObjectStore.put(): Transaction is read only', 'ReadOnlyError');
+    }
+
+    // Clone the value (inline keys are read from the clone).
+    // Throws DataCloneError if the value can't be cloned.
+    value = clone(value);
+
+    // Check params.
+    if (this._keyPath !== null) {
+      // Checks for in-line keys (key at value.keyPath, or the value itself if keyPath is empty).
+      // key parameter must not be set.
+      if (key !== undefined) {
+        throw new DOMException('IDBObjectStore.put(): key parameter cannot be set (use value.' + this._keyPath + ' instead)', 'DataError');
+      }
+      key = keyPathValue(value, this._keyPath);
+      if (key !== undefined && !validKey(key)) {
+        throw new DOMException('IDBObjectStore.put(): inline key (value.' + this._keyPath + ') must be a valid key (number, string, date, binary, array)', 'DataError');
+      }
+      if (key === undefined && !this._autoIncrement) {
+        throw new DOMException('IDBObjectStore.put(): inline key (value.' + this._keyPath + ') must be set (object store does not autoincrement)', 'DataError');
+      }
+      if (key === undefined && !canInjectKey(value, this._keyPath)) {
+        throw new DOMException('IDBObjectStore.put(): value must be an object where a generated key can be set at value.' + this._keyPath, 'DataError');
+      }
+    } else {
+      // Checks for out-of-line keys (key parameter).
+      if (key !== undefined && !validKey(key)) {
+        throw new DOMException('IDBObjectStore.put(): key parameter must be valid key (number, string, date, binary, array)', 'DataError');
+      }
+      if (key === undefined && !this._autoIncrement) {
+        throw new DOMException('IDBObjectStore.put(): key parameter must be set (object store does not autoincrement)', 'DataError');
+      }
+    }
+
+    // Copy the key so later changes to it don't affect the stored key.
+    if (key !== undefined) key = copyKey(key);
+
+    // Return an IDBRequest on the transaction that saves the value at the key.
+    return this._transaction._request(this, () => {
       // Check state.
       if (this._transaction._finished) {
         throw new DOMException('IDBObjectStore.put(): Transaction has finished', 'InvalidStateError');
@@ -929,24 +1484,48 @@ class IDBObjectStore {
 
       const records = this._transaction._data[this._name].records;
 
-      if (_errorOnExistingKey && records.has(key)) {
-        throw new DOMException('IDBObjectStore.add(): Key already exists in the object store.', 'ConstraintError');
+      // Use the key generator (for autoIncrement object stores).
+      // The generator is part of the transaction's data, so it's rolled back if the transaction aborts.
+      if (this._autoIncrement) {
+        if (key === undefined) {
+          // Generate a key.
+          // Keys can't be generated once the generator has passed 2^53.
+          if (this._transaction._data[this._name].key >= Math.pow(2, 53)) {
+            throw new DOMException('IDBObjectStore.put(): Key generator for object store \'' + this._name + '\' has reached its maximum', 'ConstraintError');
+          }
+          this._transaction._data[this._name].key++;
+          key = this._transaction._data[this._name].key;
+
+          // Set key on value if keyPath is set.
+          if (this._keyPath !== null) injectKey(value, this._keyPath, key);
+        } else if (typeof key === 'number') {
+          // Explicit numeric keys move the generator on (so the next generated key is higher).
+          const number = Math.floor(Math.min(key, Math.pow(2, 53)));
+          if (number > this._transaction._data[this._name].key) this._transaction._data[this._name].key = number;
+        }
       }
 
-      // Generate a key if it's not set.
-      if (key === undefined) {
-        // Generate a key.
-        this._transaction._data[this._name].key++;
-        key = this._transaction._data[this._name].key;
+      // Find the existing record with this key (if there is one).
+      // Keys like arrays and dates are compared by value, not by reference.
+      const existingKey = recordKey(records, key);
+      if (_errorOnExistingKey && existingKey !== undefined) {
+        throw new DOMException('IDBObjectStore.add(): Key already exists in the object store.', 'ConstraintError');
+      }
 
-        // Set key on value if keyPath is set.
-        if (this._keyPath) value[this._keyPath] = key;
+      // Check the value doesn't clash with another record in any unique indexes.
+      const indexes = this._transaction._data[this._name].indexes;
+      for (const indexName in indexes) {
+        if (indexes[indexName].unique && uniqueConflict(records, indexes[indexName], key, value)) {
+          throw new DOMException('IDBObjectStore.put(): Index \'' + indexName + '\' is unique and another record already has the same key', 'ConstraintError');
+        }
       }
 
-      // Save the value.
-      records.set(key, value);
+      // Save the value (overwriting any existing record with the same key).
+      if (existingKey !== undefined) removeEntries(records, existingKey);
+      records.set(existingKey !== undefined ? existingKey : key, value);
+      addEntries(records, existingKey !== undefined ? existingKey : key);
 
-      return key;
+      return copyKey(key);
     });
   }
 
@@ -958,15 +1537,15 @@ class IDBObjectStore {
   delete(range) {
     // Check params.
     if (!validKey(range) && !validKeyRange(range)) {
-      throw new DOMException('IDBObjectStore.delete(): The range parameter was provided but does not contain a valid key (number, string, date) or key range (IDBKeyRange or array of valid keys)', 'DataError');
+      throw new DOMException('IDBObjectStore.delete(): The range parameter was provided but does not contain a valid key (number, string, date, binary, array) or key range (IDBKeyRange)', 'DataError');
     }
 
     // Check state.
     if (this._transaction.mode === 'readonly') {
       throw new DOMException('IDBObjectStore.delete(): Transaction is read only', 'ReadOnlyError');
     }
-    if (this._transaction._finished) {
-      throw new DOMException('IDBObjectStore.delete(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.delete(): Transaction is not active', 'TransactionInactiveError');
     }
 
     // Return an IDBRequest on the transaction that deletes values in the range.
@@ -983,6 +1562,7 @@ class IDBObjectStore {
       const records = this._transaction._data[this._name].records;
       for (const [primary] of records) {
         if (keyInRange(primary, range)) {
+          removeEntries(records, primary);
           records.delete(primary);
         }
       }
@@ -992,8 +1572,8 @@ class IDBObjectStore {
   // Clear all documents.
   clear() {
     // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBObjectStore.clear(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.clear(): Transaction is not active', 'TransactionInactiveError');
     }
 
     // Return an IDBRequest on the transaction that deletes everything in the store.
@@ -1007,6 +1587,7 @@ class IDBObjectStore {
       }
 
       // Clear all records.
+      uniqueEntries.delete(this._transaction._data[this._name].records);
       this._transaction._data[this._name].records.clear();
     });
   }
@@ -1014,8 +1595,8 @@ class IDBObjectStore {
   // Get an existing index.
   index(indexName) {
     // Check params.
-    if (!validIdentifier(indexName)) {
-      throw new TypeError('IDBObjectStore.index(): indexName must be a valid identifier');
+    if (!validName(indexName)) {
+      throw new TypeError('IDBObjectStore.index(): indexName must be a string');
     }
 
     // Check state.
@@ -1036,8 +1617,8 @@ class IDBObjectStore {
   // Create an index on this object store.
   createIndex(indexName, keyPath, {unique = false, multiEntry = false} = {unique: false, multiEntry: false}) {
     // Check params.
-    if (!validIdentifier(indexName)) {
-      throw new TypeError('IDBObjectStore.createIndex(): indexName must be a valid identifier');
+    if (!validName(indexName)) {
+      throw new TypeError('IDBObjectStore.createIndex(): indexName must be a string');
     }
     if (!validKeyPath(keyPath) && !validMultiKeyPath(keyPath)) {
       throw new TypeError('IDBObjectStore.createIndex(): keyPath must be a valid key path (\'a\' or \'a.b\') or array of valid key paths');
@@ -1048,15 +1629,13 @@ class IDBObjectStore {
     if (typeof multiEntry !== 'boolean') {
       throw new TypeError('IDBObjectStore.createIndex(): multiEntry must be boolean');
     }
-
-    // Block array keys.
-    if (validMultiKeyPath(keyPath)) {
-      throw new TypeError('IDBObjectStore.createIndex(): array keyPaths are not yet supported by this mock'); // @todo add support for array keyPaths.
+    if (multiEntry && validMultiKeyPath(keyPath)) {
+      throw new DOMException('IDBObjectStore.createIndex(): multiEntry cannot be used with an array keyPath', 'InvalidAccessError');
     }
 
     // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBObjectStore.createIndex(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.createIndex(): Transaction is not active', 'TransactionInactiveError');
     }
     if (this._transaction.mode !== 'versionchange') {
       throw new DOMException('IDBObjectStore.createIndex(): Can only be used used within an active \'versionchange\' transaction, not \'' + this._transaction.mode + '\'', 'InvalidStateError');
@@ -1069,7 +1648,22 @@ class IDBObjectStore {
     }
 
     // Create a plain data template for this index.
-    this._transaction._data[this._name].indexes[indexName] = {keyPath: keyPath, unique: unique, multiEntry: multiEntry};
+    const index = {keyPath: keyPath, unique: unique, multiEntry: multiEntry};
+    this._transaction._data[this._name].indexes[indexName] = index;
+
+    // Unique indexes must be checked against the existing records.
+    // This is done in a request so records put earlier in the transaction are checked too.
+    // If any records clash the request fails and the 'versionchange' transaction is aborted.
+    if (unique) {
+      this._transaction._request(this, () => {
+        const records = this._transaction._data[this._name].records;
+        for (const [primary, value] of records) {
+          if (uniqueConflict(records, index, primary, value)) {
+            throw new DOMException('IDBObjectStore.createIndex(): Index \'' + indexName + '\' is unique but existing records have the same key', 'ConstraintError');
+          }
+        }
+      });
+    }
 
     // Return a new IDBIndex.
     return new IDBIndex(this, indexName);
@@ -1078,13 +1672,13 @@ class IDBObjectStore {
   // Delete an index on this object store.
   deleteIndex(indexName) {
     // Check params.
-    if (!validIdentifier(indexName)) {
-      throw new TypeError('IDBObjectStore.deleteIndex(): indexName must be a valid identifier');
+    if (!validName(indexName)) {
+      throw new TypeError('IDBObjectStore.deleteIndex(): indexName must be a string');
     }
 
     // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBObjectStore.deleteIndex(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBObjectStore.deleteIndex(): Transaction is not active', 'TransactionInactiveError');
     }
     if (this._transaction.mode !== 'versionchange') {
       throw new DOMException('IDBObjectStore.deleteIndex(): Can only be used used within an active \'versionchange\' transaction, not \'' + this._transaction.mode + '\'', 'InvalidStateError');
@@ -1109,14 +1703,13 @@ class IDBIndex {
     if (!(objectStore instanceof IDBObjectStore)) {
       throw new TypeError('IDBIndex: store must be an IDBObjectStore');
     }
-    if (!validIdentifier(name)) {
-      throw new TypeError('IDBIndex: name must be a valid identifier');
+    if (!validName(name)) {
+      throw new TypeError('IDBIndex: name must be a string');
     }
 
     // Vars.
     this._objectStore = objectStore;
     this._name = name;
-    this._storeName = objectStore.name;
     this._transaction = objectStore.transaction;
 
     // Check state.
@@ -1137,10 +1730,51 @@ class IDBIndex {
     return this._objectStore;
   }
 
+  // Name of the object store (read from the object store in case it's renamed).
+  get _storeName() {
+    return this._objectStore.name;
+  }
+
   get name() {
     return this._name;
   }
 
+  // Rename this index.
+  // Can only be used within a 'versionchange' transaction.
+  set name(name) {
+    // Check params.
+    if (!validName(name)) {
+      throw new TypeError('IDBIndex.name: name must be a string');
+    }
+
+    // Check state.
+    if (!this._transaction._active) {
+      throw new DOMException('IDBIndex.name: Transaction is not active', 'TransactionInactiveError');
+    }
+    if (this._transaction.mode !== 'versionchange') {
+      throw new DOMException('IDBIndex.name: Can only be renamed within an active \'versionchange\' transaction, not \'' + this._transaction.mode + '\'', 'InvalidStateError');
+    }
+    if (!this._transaction._data[this._storeName]) {
+      throw new DOMException('IDBIndex.name: Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
+    }
+    if (!this._transaction._data[this._storeName].indexes[this._name]) {
+      throw new DOMException('IDBIndex.name: Index \'' + this._name + '\' does not exist', 'InvalidStateError');
+    }
+    if (name === this._name) return;
+    if (this._transaction._data[this._storeName].indexes[name]) {
+      throw new DOMException('IDBIndex.name: Index \'' + name + '\' already exists', 'ConstraintError');
+    }
+
+    // Move the index to the new name on the transaction.
+    const indexes = this._transaction._data[this._storeName].indexes;
+    indexes[name] = indexes[this._name];
+    delete indexes[this._name];
+
+    // Rename (and remember the old name in case the transaction is aborted).
+    this._transaction._renames.push([this, this._name]);
+    this._name = name;
+  }
+
   get keyPath() {
     return this._keyPath;
   }
@@ -1157,12 +1791,12 @@ class IDBIndex {
   count(key = undefined) {
     // Check params.
     if (!validKey(key) && !validKeyRange(key) && key !== undefined) {
-      throw new DOMException('count(): The key parameter was provided but does not contain a valid key (number, string, date), key range (IDBKeyRange or array of valid keys), or undefined', 'DataError');
+      throw new DOMException('count(): The key parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange), or undefined', 'DataError');
     }
 
     // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBIndex.count(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBIndex.count(): Transaction is not active', 'TransactionInactiveError');
     }
     if (!this._transaction._data[this._storeName]) {
       throw new DOMException('IDBIndex.count(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
@@ -1197,12 +1831,12 @@ class IDBIndex {
   get(key) {
     // Check params.
     if (!validKey(key) && !validKeyRange(key)) {
-      throw new DOMException('count(): The key parameter was provided but does not contain a valid key (number, string, date), key range (IDBKeyRange or array of valid keys)', 'DataError');
+      throw new DOMException('count(): The key parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange)', 'DataError');
     }
 
     // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBIndex.get(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBIndex.get(): Transaction is not active', 'TransactionInactiveError');
     }
     if (!this._transaction._data[this._storeName]) {
       throw new DOMException('IDBIndex.get(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
@@ -1229,6 +1863,106 @@ class IDBIndex {
     });
   }
 
+  // Get the primary key of a single result.
+  // Returns a request that fires a 'success' event when its result is available.
+  // `request.result` will be either:
+  // 1. The primary key of the first result with a key matching `key`.
+  // 2. `undefined`, if there are no matching results.
+  getKey(key) {
+    // Check params.
+    if (!validKey(key) && !validKeyRange(key)) {
+      throw new DOMException('getKey(): The key parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange)', 'DataError');
+    }
+
+    // Check state.
+    if (!this._transaction._active) {
+      throw new DOMException('IDBIndex.getKey(): Transaction is not active', 'TransactionInactiveError');
+    }
+    if (!this._transaction._data[this._storeName]) {
+      throw new DOMException('IDBIndex.getKey(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
+    }
+    if (!this._transaction._data[this._storeName].indexes[this._name]) {
+      throw new DOMException('IDBIndex.getKey(): Index \'' + this._name + '\' does not exist', 'InvalidStateError');
+    }
+
+    // Return an IDBRequest on the transaction.
+    return this._transaction._request(this, (request) => {
+      // Check state.
+      if (this._transaction._finished) {
+        throw new DOMException('IDBIndex.getKey(): Transaction has finished', 'InvalidStateError');
+      }
+      if (!this._transaction._data[this._storeName]) {
+        throw new DOMException('IDBIndex.getKey(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
+      }
+      if (!this._transaction._data[this._storeName].indexes[this._name]) {
+        throw new DOMException('IDBIndex.getKey(): Index \'' + this._name + '\' does not exist', 'InvalidStateError');
+      }
+
+      // Return the primary key of the first key found by the cursor.
+      return new IDBCursor(request, key).primaryKey;
+    });
+  }
+
+  // Get several results.
+  // Accepts either `(query, count)` or an options dictionary `({query, count, direction})`.
+  // Returns a request that fires a 'success' event when its result is available.
+  // `request.result` is an array of the values for results matching `query` (up to `count` results, if it's set).
+  getAll(query = undefined, count = undefined) {
+    return this._getAll('getAll', getAllOptions('getAll', query, count), (record) => record.value);
+  }
+
+  // Get the primary keys of several results.
+  // Accepts either `(query, count)` or an options dictionary `({query, count, direction})`.
+  // Returns a request that fires a 'success' event when its result is available.
+  // `request.result` is an array of the primary keys for results matching `query` (up to `count` results, if it's set).
+  getAllKeys(query = undefined, count = undefined) {
+    return this._getAll('getAllKeys', getAllOptions('getAllKeys', query, count), (record) => record.primaryKey);
+  }
+
+  // Get the keys and values of several results.
+  // Accepts an options dictionary `({query, count, direction})`.
+  // Returns a request that fires a 'success' event when its result is available.
+  // `request.result` is an array of `IDBRecord` objects for results matching `query` (up to `count` results, if it's set).
+  getAllRecords(options = undefined) {
+    if (!getAllDictionary(options) && options !== undefined) {
+      throw new TypeError('getAllRecords(): options must be a dictionary ({query, count, direction}) or undefined');
+    }
+    return this._getAll('getAllRecords', getAllOptions('getAllRecords', options), (record) => new IDBRecord(record.key, record.primaryKey, record.value));
+  }
+
+  // Shared implementation of getAll(), getAllKeys() and getAllRecords().
+  // `map` converts each record found by the cursor into an item in the result.
+  _getAll(method, {query, count, direction}, map) {
+    // Check state.
+    if (!this._transaction._active) {
+      throw new DOMException('IDBIndex.' + method + '(): Transaction is not active', 'TransactionInactiveError');
+    }
+    if (!this._transaction._data[this._storeName]) {
+      throw new DOMException('IDBIndex.' + method + '(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
+    }
+    if (!this._transaction._data[this._storeName].indexes[this._name]) {
+      throw new DOMException('IDBIndex.' + method + '(): Index \'' + this._name + '\' does not exist', 'InvalidStateError');
+    }
+
+    // Return an IDBRequest on the transaction.
+    return this._transaction._request(this, (request) => {
+      // Check state.
+      if (this._transaction._finished) {
+        throw new DOMException('IDBIndex.' + method + '(): Transaction has finished', 'InvalidStateError');
+      }
+      if (!this._transaction._data[this._storeName]) {
+        throw new DOMException('IDBIndex.' + method + '(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
+      }
+      if (!this._transaction._data[this._storeName].indexes[this._name]) {
+        throw new DOMException('IDBIndex.' + method + '(): Index \'' + this._name + '\' does not exist', 'InvalidStateError');
+      }
+
+      // Return the records found by the cursor (getAllKeys() doesn't need values, so it uses a key cursor).
+      const cursor = method === 'getAllKeys' ? new IDBCursor(request, query, direction) : new IDBCursorWithValue(request, query, direction);
+      return cursor._records(count).map(map);
+    });
+  }
+
   // Open a cursor to retrieve several results.
   // Returns a request that fires one or more 'success' events when its results is available.
   // Continues to fire 'success' as many times as `cursor.continue()` is called and results are available.
@@ -1242,15 +1976,15 @@ class IDBIndex {
     }
     // Check params.
     if (!validKey(query) && !validKeyRange(query) && query !== undefined) {
-      throw new DOMException('count(): The query parameter was provided but does not contain a valid key (number, string, date), key range (IDBKeyRange or array of valid keys), or, it is not null or undefined', 'DataError');
+      throw new DOMException('count(): The query parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange), or, it is not null or undefined', 'DataError');
     }
     if (direction !== 'next' && direction !== 'nextunique' && direction !== 'prev' && direction !== 'prevunique') {
       throw new TypeError('IDBCursor: direction must be one of \'next\', \'nextunique\', \'prev\', \'prevunique\'');
     }
 
     // Check state.
-    if (this._transaction._finished) {
-      throw new DOMException('IDBIndex.openCursor(): Transaction has finished', 'InvalidStateError');
+    if (!this._transaction._active) {
+      throw new DOMException('IDBIndex.openCursor(): Transaction is not active', 'TransactionInactiveError');
     }
     if (!this._transaction._data[this._storeName]) {
       throw new DOMException('IDBIndex.openCursor(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
@@ -1284,6 +2018,60 @@ class IDBIndex {
       return cursor.primaryKey !== undefined ? cursor : undefined;
     });
   }
+
+  // Open a cursor to retrieve the keys of several results.
+  // Works like `openCursor()`, but request.result will be either:
+  // 1. An `IDBCursor` (with `cursor.key` and `cursor.primaryKey` to read keys, and `cursor.continue()` method to continue).
+  // 2. `undefined`, if there are no more results.
+  openKeyCursor(query = undefined, direction = 'next') {
+    if (query === null) {
+      // Edge / IE allow for 'null' to be passed, but it is treated as 'undefined' for mock purposes.
+      query = undefined;
+    }
+    // Check params.
+    if (!validKey(query) && !validKeyRange(query) && query !== undefined) {
+      throw new DOMException('openKeyCursor(): The query parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange), or, it is not null or undefined', 'DataError');
+    }
+    if (direction !== 'next' && direction !== 'nextunique' && direction !== 'prev' && direction !== 'prevunique') {
+      throw new TypeError('IDBCursor: direction must be one of \'next\', \'nextunique\', \'prev\', \'prevunique\'');
+    }
+
+    // Check state.
+    if (!this._transaction._active) {
+      throw new DOMException('IDBIndex.openKeyCursor(): Transaction is not active', 'TransactionInactiveError');
+    }
+    if (!this._transaction._data[this._storeName]) {
+      throw new DOMException('IDBIndex.openKeyCursor(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
+    }
+    if (!this._transaction._data[this._storeName].indexes[this._name]) {
+      throw new DOMException('IDBIndex.openKeyCursor(): Index \'' + this._name + '\' does not exist', 'InvalidStateError');
+    }
+
+    // Return an IDBRequest.
+    // The result of the request is an IDBCursor without a value (if there's a record at the current cursor position),
+    // or undefined (if there isn't, because we iterated past the end or there were no results).
+    let cursor;
+    return this._transaction._request(this, (request) => {
+      // Check state.
+      if (this._transaction._finished) {
+        throw new DOMException('IDBIndex.openKeyCursor(): Transaction has finished', 'InvalidStateError');
+      }
+      if (!this._transaction._data[this._storeName]) {
+        throw new DOMException('IDBIndex.openKeyCursor(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
+      }
+      if (!this._transaction._data[this._storeName].indexes[this._name]) {
+        throw new DOMException('IDBIndex.openKeyCursor(): Index \'' + this._name + '\' does not exist', 'InvalidStateError');
+      }
+
+      // Make a cursor if it doesn't exist.
+      // Don't create the cursor until the request is run.
+      // (Otherwise records added by other requests between this request being created and it being run, won't be included.)
+      if (!cursor) cursor = new IDBCursor(request, query, direction);
+
+      // Return cursor if there is a value.
+      return cursor.primaryKey !== undefined ? cursor : undefined;
+    });
+  }
 }
 
 // IDBCursor mock.
@@ -1301,7 +2089,7 @@ class IDBCursor {
       throw new TypeError('IDBCursor: direction must be one of \'next\', \'nextunique\', \'prev\', \'prevunique\'');
     }
     if (!validKey(range) && !validKeyRange(range) && range !== undefined) {
-      throw new TypeError('IDBCursor: range must be a valid key (string, number, date), key range (array, IDBKeyRange), or undefined');
+      throw new TypeError('IDBCursor: range must be a valid key (string, number, date, binary, array), key range (IDBKeyRange), or undefined');
     }
 
     this._request = request;
@@ -1356,27 +2144,23 @@ class IDBCursor {
     return this._primaryKey;
   }
 
-  get value() {
-    if (this._withValue) {
-      return this._value;
-    } else {
-      return undefined;
-    }
-  }
-
   // Functions.
   progress() {
     // Set key, value, primaryKey
     if (this._keys.length) {
       // Get key and primaryKey from list.
-      this._key = this._keys[0][0];
-      this._primaryKey = this._keys[0][1];
-      this._keys.shift();
+      const [key, primaryKey] = this._keys.shift();
 
       // Fill in the value if neccessary.possible.
+      // Values are clones so changes to them don't affect the stored records (and are frozen if the factory freezes results).
       if (this._withValue) {
-        this._value = this._transaction._data[this._storeName].records.get(this._primaryKey);
+        this._value = clone(this._transaction._data[this._storeName].records.get(primaryKey));
+        if (this._transaction.db._factory._freezeResults) freeze(this._value);
       }
+
+      // Keys are copies so changes to them don't affect the stored keys.
+      this._key = copyKey(key);
+      this._primaryKey = copyKey(primaryKey);
     } else {
       this._key = undefined;
       this._primaryKey = undefined;
@@ -1384,6 +2168,17 @@ class IDBCursor {
     }
   }
 
+  // Collect the remaining records from the current position.
+  // Stops after `count` records (or collects all of them if `count` is 0 or undefined).
+  _records(count = 0) {
+    const records = [];
+    while (this._primaryKey !== undefined && (!count || records.length < count)) {
+      records.push({key: this._key, primaryKey: this._primaryKey, value: this._value});
+      this.progress();
+    }
+    return records;
+  }
+
   // Sets the number times a cursor should move its position forward.
   advance(count) {
     // Check params.
@@ -1401,6 +2196,9 @@ class IDBCursor {
     if (this._request.readyState !== 'done') {
       throw new DOMException('advance(): Cursor is currently iterating', 'InvalidStateError');
     }
+    if (!this._transaction._active) {
+      throw new DOMException('advance(): Transaction is not active', 'TransactionInactiveError');
+    }
     if (!this._transaction._data[this._storeName]) {
       throw new DOMException('advance(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
     }
@@ -1418,7 +2216,7 @@ class IDBCursor {
   continue(targetKey = undefined) {
     // Check params.
     if (!validKey(targetKey) && !validKeyRange(targetKey) && targetKey !== undefined) {
-      throw new DOMException('continue(): targetKey must be a valid key (string, number, date), key range (array or IDBKeyRange), or undefined', 'DataError');
+      throw new DOMException('continue(): targetKey must be a valid key (string, number, date, binary, array), key range (IDBKeyRange), or undefined', 'DataError');
     }
 
     // Check state.
@@ -1428,6 +2226,9 @@ class IDBCursor {
     if (this._request.readyState !== 'done') {
       throw new DOMException('continue(): Cursor is currently iterating', 'InvalidStateError');
     }
+    if (!this._transaction._active) {
+      throw new DOMException('continue(): Transaction is not active', 'TransactionInactiveError');
+    }
     if (!this._transaction._data[this._storeName]) {
       throw new DOMException('continue(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
     }
@@ -1450,10 +2251,10 @@ class IDBCursor {
   continuePrimaryKey(targetKey, targetPrimaryKey) {
     // Check params.
     if (!validKey(targetKey) && !validKeyRange(targetKey)) {
-      throw new DOMException('continuePrimaryKey(): targetKey must be a valid key (string, number, date) or key range (array or IDBKeyRange)', 'DataError');
+      throw new DOMException('continuePrimaryKey(): targetKey must be a valid key (string, number, date, binary, array) or key range (IDBKeyRange)', 'DataError');
     }
     if (!validKey(targetPrimaryKey) && !validKeyRange(targetPrimaryKey)) {
-      throw new DOMException('continuePrimaryKey(): targetPrimaryKey must be a valid key (string, number, date) or key range (array or IDBKeyRange)', 'DataError');
+      throw new DOMException('continuePrimaryKey(): targetPrimaryKey must be a valid key (string, number, date, binary, array) or key range (IDBKeyRange)', 'DataError');
     }
 
     // Check state.
@@ -1463,6 +2264,9 @@ class IDBCursor {
     if (this._request.readyState !== 'done') {
       throw new DOMException('continuePrimaryKey(): Cursor is currently iterating', 'InvalidStateError');
     }
+    if (!this._transaction._active) {
+      throw new DOMException('continuePrimaryKey(): Transaction is not active', 'TransactionInactiveError');
+    }
     if (!this._transaction._data[this._storeName]) {
       throw new DOMException('continuePrimaryKey(): Object store \'' + this._storeName + '\' does not exist', 'InvalidStateError');
     }
@@ -1480,28 +2284,39 @@ class IDBCursor {
 
   // Delete the current primary key.
   delete() {
-    if (this._withValue) {
-      // Checks.
-      if (this._primaryKey === undefined) {
-        throw new DOMException('delete(): Cursor does not have a value', 'InvalidStateError');
-      }
-
-      // Return a request from IDBObjectStore.delete().
-      return this._store.delete(this._primaryKey);
+    // Checks.
+    if (!this._withValue) {
+      throw new DOMException('delete(): Cursor is a key cursor (opened with openKeyCursor())', 'InvalidStateError');
     }
+    if (this._primaryKey === undefined) {
+      throw new DOMException('delete(): Cursor does not have a value', 'InvalidStateError');
+    }
+
+    // Return a request from IDBObjectStore.delete().
+    return this._store.delete(this._primaryKey);
   }
 
   // Update the current primary key.
   update(value) {
-    if (this._withValue) {
-      // Checks.
-      if (this._primaryKey === undefined) {
-        throw new DOMException('update(): Cursor does not have a value', 'InvalidStateError');
-      }
+    // Checks.
+    if (!this._withValue) {
+      throw new DOMException('update(): Cursor is a key cursor (opened with openKeyCursor())', 'InvalidStateError');
+    }
+    if (this._primaryKey === undefined) {
+      throw new DOMException('update(): Cursor does not have a value', 'InvalidStateError');
+    }
 
-      // Return a request from IDBObjectStore.put().
-      return this._store.put(value, this._primaryKey);
+    // Inline keys must match the cursor's primary key (out-of-line keys are passed to put()).
+    if (this._store.keyPath !== null) {
+      const key = keyPathValue(value, this._store.keyPath);
+      if (!validKey(key) || IDBFactory.cmp(key, this._primaryKey) !== 0) {
+        throw new DOMException('update(): The value\'s key (at the object store\'s keyPath) must match the cursor\'s primary key', 'DataError');
+      }
+      return this._store.put(value);
     }
+
+    // Return a request from IDBObjectStore.put().
+    return this._store.put(value, this._primaryKey);
   }
 
   // Find matching keys.
@@ -1514,9 +2329,11 @@ class IDBCursor {
       // Index source.
       // Loop through records.
       for (const [primary, value] of records) {
-        // Get key at index.keyPath and filter.
-        const key = (value instanceof Object ? value[this._index.keyPath] : undefined);
-        if (this._range === undefined || keyInRange(key, this._range)) keys.push([key, primary]);
+        // Get keys at index.keyPath and filter.
+        // multiEntry indexes can have several keys for a single record.
+        for (const key of indexKeys(this._index, value)) {
+          if (this._range === undefined || keyInRange(key, this._range)) keys.push([key, primary]);
+        }
       }
     } else {
       // Object store source.
@@ -1528,13 +2345,14 @@ class IDBCursor {
       }
     }
 
-    // Sort the keys by key.
-    const sortedKeys = keys.sort((a, b) => IDBFactory.cmp(a[0], b[0]));
+    // Sort the keys by key, then by primary key.
+    const sortedKeys = keys.sort((a, b) => IDBFactory.cmp(a[0], b[0]) || IDBFactory.cmp(a[1], b[1]));
 
     // Possibly remove duplicate keys.
+    // The first (lowest primary key) record for each key is kept, whichever direction we're going.
     if (this._direction === 'nextunique' || this._direction === 'prevunique') {
       for (let i = sortedKeys.length-2; i >= 0; i--) {
-        if (sortedKeys[i] === sortedKeys[i+1]) {
+        if (IDBFactory.cmp(sortedKeys[i][0], sortedKeys[i+1][0]) === 0) {
           sortedKeys.splice(i+1, 1);
         }
       }
@@ -1555,6 +2373,33 @@ class IDBCursorWithValue extends IDBCursor {
     // Super.
     super(request, range, direction, true);
   }
+
+  get value() {
+    return this._value;
+  }
+}
+
+// IDBRecord mock.
+// Returned by getAllRecords().
+class IDBRecord {
+  // Construct.
+  constructor(key, primaryKey, value) {
+    this._key = key;
+    this._primaryKey = primaryKey;
+    this._value = value;
+  }
+
+  get key() {
+    return this._key;
+  }
+
+  get primaryKey() {
+    return this._primaryKey;
+  }
+
+  get value() {
+    return this._value;
+  }
 }
 
 // IDBKeyRange mock.
@@ -1563,10 +2408,10 @@ class IDBKeyRange {
   constructor(lower, upper, lowerOpen = false, upperOpen = false) {
     // Checks.
     if (!validKey(lower) && lower !== undefined) {
-      throw new DOMException('IDBKeyRange: lower must be a valid key (string, number, date) or undefined', 'DataError');
+      throw new DOMException('IDBKeyRange: lower must be a valid key (string, number, date, binary, array) or undefined', 'DataError');
     }
     if (!validKey(upper) && upper !== undefined) {
-      throw new DOMException('IDBKeyRange: upper must be a valid key (string, number, date) or undefined', 'DataError');
+      throw new DOMException('IDBKeyRange: upper must be a valid key (string, number, date, binary, array) or undefined', 'DataError');
     }
     if (typeof lowerOpen !== 'boolean') {
       throw new DOMException('IDBKeyRange: lowerOpen must be boolean', 'DataError');
@@ -1574,23 +2419,23 @@ class IDBKeyRange {
     if (typeof upperOpen !== 'boolean') {
       throw new DOMException('IDBKeyRange: upperOpen must be boolean', 'DataError');
     }
-    if (lower > upper) {
+    if (lower !== undefined && upper !== undefined && IDBFactory.cmp(lower, upper) > 0) {
       throw new DOMException('IDBKeyRange: lower must be lower than upper', 'DataError');
     }
 
-    this._lower = lower;
-    this._upper = upper;
+    this._lower = lower !== undefined ? copyKey(lower) : undefined;
+    this._upper = upper !== undefined ? copyKey(upper) : undefined;
     this._lowerOpen = lowerOpen;
     this._upperOpen = upperOpen;
   }
 
   // Properties.
   get lower() {
-    return this._lower;
+    return this._lower === undefined ? undefined : copyKey(this._lower);
   }
 
   get upper() {
-    return this._upper;
+    return this._upper === undefined ? undefined : copyKey(this._upper);
   }
 
   get lowerOpen() {
@@ -1605,22 +2450,22 @@ class IDBKeyRange {
   includes(key) {
     // Checks.
     if (!validKey(key)) {
-      throw new DOMException('includes(): key must be a valid key (string, number, date)', 'DataError');
+      throw new DOMException('includes(): key must be a valid key (string, number, date, binary, array)', 'DataError');
     }
 
     // See if it's in the range.
     if (this._upper !== undefined) {
       if (this._upperOpen) {
-        if (key >= this._upper) return false;
+        if (IDBFactory.cmp(key, this._upper) >= 0) return false;
       } else {
-        if (key > this._upper) return false;
+        if (IDBFactory.cmp(key, this._upper) > 0) return false;
       }
     }
     if (this._lower !== undefined) {
       if (this._lowerOpen) {
-        if (key <= this._lower) return false;
+        if (IDBFactory.cmp(key, this._lower) <= 0) return false;
       } else {
-        if (key < this._lower) return false;
+        if (IDBFactory.cmp(key, this._lower) < 0) return false;
       }
     }
     return true;
@@ -1631,10 +2476,10 @@ class IDBKeyRange {
 IDBKeyRange.bound = function(lower, upper, lowerOpen = false, upperOpen = false) {
   // Checks.
   if (!validKey(lower)) {
-    throw new DOMException('bound(): lower must be a valid key (string, number, date)', 'DataError');
+    throw new DOMException('bound(): lower must be a valid key (string, number, date, binary, array)', 'DataError');
   }
   if (!validKey(upper)) {
-    throw new DOMException('bound(): upper must be a valid key (string, number, date)', 'DataError');
+    throw new DOMException('bound(): upper must be a valid key (string, number, date, binary, array)', 'DataError');
   }
   if (typeof lowerOpen !== 'boolean') {
     throw new DOMException('bound(): lowerOpen must be boolean', 'DataError');
@@ -1642,7 +2487,7 @@ IDBKeyRange.bound = function(lower, upper, lowerOpen = false, upperOpen = false)
   if (typeof upperOpen !== 'boolean') {
     throw new DOMException('bound(): upperOpen must be boolean', 'DataError');
   }
-  if (lower > upper) {
+  if (IDBFactory.cmp(lower, upper) > 0) {
     throw new DOMException('bound(): lower must be lower than upper', 'DataError');
   }
 
@@ -1654,7 +2499,7 @@ IDBKeyRange.bound = function(lower, upper, lowerOpen = false, upperOpen = false)
 IDBKeyRange.only = function(value) {
   // Checks.
   if (!validKey(value)) {
-    throw new DOMException('only(): value must be a valid key (string, number, date)', 'DataError');
+    throw new DOMException('only(): value must be a valid key (string, number, date, binary, array)', 'DataError');
   }
 
   // Make an IDBKeyRange and return it.
@@ -1665,7 +2510,7 @@ IDBKeyRange.only = function(value) {
 IDBKeyRange.lowerBound = function(value, open = false) {
   // Checks.
   if (!validKey(value)) {
-    throw new DOMException('lowerBound(): value must be a valid key (string, number, date)', 'DataError');
+    throw new DOMException('lowerBound(): value must be a valid key (string, number, date, binary, array)', 'DataError');
   }
   if (typeof open !== 'boolean') {
     throw new DOMException('lowerBound(): open must be boolean', 'DataError');
@@ -1679,7 +2524,7 @@ IDBKeyRange.lowerBound = function(value, open = false) {
 IDBKeyRange.upperBound = function(value, open = false) {
   // Checks.
   if (!validKey(value)) {
-    throw new DOMException('upperBound(): value must be a valid key (string, number, date)', 'DataError');
+    throw new DOMException('upperBound(): value must be a valid key (string, number, date, binary, array)', 'DataError');
   }
   if (typeof open !== 'boolean') {
     throw new DOMException('upperBound(): open must be boolean', 'DataError');
@@ -1734,6 +2579,84 @@ class DOMException extends Error {
   }
 }
 
+// Blob mock.
+// Minimal implementation that's used if there's no global Blob (e.g. in older versions of Node).
+// Bytes are copied when the blob is made, so later changes to the parts don't change it.
+class BlobMock {
+  // Construct.
+  constructor(parts = [], {type = ''} = {type: ''}) {
+    // Check params.
+    if (!(parts instanceof Array)) {
+      throw new TypeError('Blob: parts must be an array');
+    }
+
+    // Concatenate the bytes of the parts (strings are encoded as UTF-8).
+    const buffers = parts.map((part) => {
+      if (part instanceof BlobMock) return Buffer.from(part._bytes);
+      if (part instanceof ArrayBuffer) return Buffer.from(part.slice(0));
+      if (ArrayBuffer.isView(part)) return Buffer.from(part.buffer.slice(part.byteOffset, part.byteOffset + part.byteLength));
+      return Buffer.from(String(part), 'utf8');
+    });
+    this._bytes = new Uint8Array(Buffer.concat(buffers));
+    this._type = /^[\x20-\x7E]*$/.test(type) ? String(type).toLowerCase() : '';
+  }
+
+  get size() {
+    return this._bytes.length;
+  }
+
+  get type() {
+    return this._type;
+  }
+
+  // Get a new blob containing some of the bytes of this one.
+  slice(start = 0, end = this._bytes.length, type = '') {
+    return new BlobMock([this._bytes.subarray(start, end)], {type});
+  }
+
+  // Get a promise for the bytes of this blob.
+  arrayBuffer() {
+    return Promise.resolve(this._bytes.slice().buffer);
+  }
+
+  // Get a promise for the bytes of this blob decoded as UTF-8.
+  text() {
+    return Promise.resolve(Buffer.from(this._bytes).toString('utf8'));
+  }
+}
+
+// Global or mock Blob.
+const Blob = typeof global.Blob === 'function' ? global.Blob : BlobMock;
+
+// File mock.
+// Minimal implementation that's used if there's no global File.
+class FileMock extends Blob {
+  // Construct.
+  constructor(parts, name, {type = '', lastModified = Date.now()} = {type: '', lastModified: Date.now()}) {
+    // Super.
+    super(parts, {type});
+
+    // Check params.
+    if (name === undefined) {
+      throw new TypeError('File: name must be set');
+    }
+
+    this._name = String(name);
+    this._lastModified = Number(lastModified);
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  get lastModified() {
+    return this._lastModified;
+  }
+}
+
+// Global or mock File.
+const File = typeof global.File === 'function' ? global.File : FileMock;
+
 // Functions.
 
 // Reset data.
@@ -1748,6 +2671,38 @@ function reset() {
   for (const key in storage) {
     delete storage[key];
   }
+  for (const key in transactions) {
+    delete transactions[key];
+  }
+  for (const key in steps) {
+    delete steps[key];
+  }
+  for (const key in ticks) {
+    clearTimeout(ticks[key]);
+    delete ticks[key];
+  }
+}
+
+// Make a seeded random number generator (mulberry32).
+// Returns a function that returns the next number between 0 (inclusive) and 1 (exclusive).
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+// Does an earlier unfinished transaction stop a later transaction from starting?
+// Transactions with overlapping scopes run one after another, unless they're both readonly.
+// 'versionchange' transactions can't run at the same time as any other transaction.
+function transactionBlocks(earlier, later) {
+  if (earlier.mode === 'versionchange' || later.mode === 'versionchange') return true;
+  if (earlier.mode === 'readonly' && later.mode === 'readonly') return false;
+  return earlier._storeNames.some((storeName) => later._storeNames.indexOf(storeName) !== -1);
 }
 
 // Is the supplied identified a valid identifier?
@@ -1757,9 +2712,16 @@ function validIdentifier(identifier) {
   else return false;
 }
 
+// Is the supplied name a valid name for a database, object store, or index?
+// Any string is allowed (only the parts of key paths need to be identifiers).
+function validName(name) {
+  return typeof name === 'string';
+}
+
 // Is the supplied key a valid keyPath?
-// e.g. 'id' or 'abc' or 'abc.def'
+// e.g. 'id' or 'abc' or 'abc.def' (or '', which means the value itself).
 function validKeyPath(keyPath) {
+  if (keyPath === '') return true;
   if (typeof keyPath === 'string') {
     // Can be either 'abc' or 'abc.def'.
     const keyPathParts = keyPath.split('.');
@@ -1787,84 +2749,370 @@ function validVersion(version) {
 }
 
 // Is the supplied key a valid key?
-function validKey(key) {
+function validKey(key, seen = []) {
   // Simple keys.
   if (typeof key === 'number' && !Number.isNaN(key)) return true;
   else if (typeof key === 'string') return true;
-  else if (key instanceof Date) return true;
+  else if (key instanceof Date && !Number.isNaN(key.getTime())) return true;
+  else if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) return true;
+
+  // Array keys.
+  // Every item must be a valid key, and arrays can't contain themselves or have holes.
+  if (key instanceof Array) {
+    if (seen.indexOf(key) !== -1) return false;
+    for (let i = 0; i < key.length; i++) if (!(i in key) || !validKey(key[i], seen.concat([key]))) return false;
+    return true;
+  }
   return false;
 }
 
+// Key types, in the order keys of different types are sorted.
+const keyTypes = ['number', 'date', 'string', 'binary', 'array'];
+
+// Get the type of a valid key.
+function keyType(key) {
+  if (typeof key === 'number') return 'number';
+  else if (key instanceof Date) return 'date';
+  else if (typeof key === 'string') return 'string';
+  else if (key instanceof Array) return 'array';
+  else return 'binary';
+}
+
+// Get the bytes of a binary key (ArrayBuffer, typed array, or DataView).
+function keyBytes(key) {
+  if (ArrayBuffer.isView(key)) return new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+  return new Uint8Array(key);
+}
+
+// Copy a valid key, so later changes to the original don't affect the copy.
+// Binary keys are always copied into a new ArrayBuffer.
+function copyKey(key) {
+  if (key instanceof Array) return key.map(copyKey);
+  else if (key instanceof Date) return new Date(key.getTime());
+  else if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) return keyBytes(key).slice().buffer;
+  else return key;
+}
+
+// Is the supplied value an options dictionary for getAll(), getAllKeys() or getAllRecords()?
+// Keys and key ranges are objects too, so they're never treated as dictionaries.
+function getAllDictionary(options) {
+  return typeof options === 'object' && options !== null && !validKey(options) && !validKeyRange(options);
+}
+
+// Check and normalise the arguments for getAll(), getAllKeys() and getAllRecords().
+// Accepts either `(query, count)` or an options dictionary `({query, count, direction})`.
+function getAllOptions(method, query = undefined, count = undefined) {
+  let direction = 'next';
+  if (getAllDictionary(query)) ({query, count, direction = 'next'} = query);
+  if (query === null) query = undefined;
+
+  // Check params.
+  if (!validKey(query) && !validKeyRange(query) && query !== undefined) {
+    throw new DOMException(method + '(): The query parameter was provided but does not contain a valid key (number, string, date, binary, array), key range (IDBKeyRange), or undefined', 'DataError');
+  }
+  if (!validCount(count) && count !== undefined) {
+    throw new TypeError(method + '(): count must be a whole number between 0 and 4294967295');
+  }
+  if (direction !== 'next' && direction !== 'nextunique' && direction !== 'prev' && direction !== 'prevunique') {
+    throw new TypeError(method + '(): direction must be one of \'next\', \'nextunique\', \'prev\', \'prevunique\'');
+  }
+
+  // Return.
+  return {query, count, direction};
+}
+
+// Valid record count (e.g. for getAll()).
+function validCount(count) {
+  // Must be a round number that fits in an unsigned long (0 means no limit).
+  if (typeof count === 'number' && count >= 0 && count <= 4294967295 && count === Math.round(count)) return true;
+  else return false;
+}
+
 // Is the supplied key a valid key range?
 function validKeyRange(key) {
-  if (key instanceof Array) {
-    if (key.length < 1) return false;
-    for (let i = 0; i < key.length; i++) if (!validKey(key[i]) && !validKeyRange(key[i])) return false;
-    return true;
-  }
   if (key instanceof IDBKeyRange) return true;
   return false;
 }
 
 // Is the key in the key range?
 function keyInRange(key, range) {
-  // Primitive ranges use simple comparisons.
-  if (typeof range === 'number' || typeof range === 'string') return key === range;
-
-  // Array ranges just test existance.
-  if (range instanceof Array) {
-    for (let i = 0; i < range.length; i++) if (keyInRange(key, range[i])) return true;
-    return false;
-  }
-
   // IDBKeyRanges test the key being inside the higher and lower range.
   if (range instanceof IDBKeyRange) return range.includes(key);
 
+  // Single keys (including arrays and dates) test the key being equal.
+  if (validKey(range)) return IDBFactory.cmp(key, range) === 0;
+
   // Anything else is false.
   return false;
 }
 
-// Deep clone a value.
-function clone(value) {
+// Get the value at a keyPath in a value.
+// Returns undefined if the value doesn't have anything at the keyPath.
+// Array keyPaths return an array of the values at each of the keyPaths.
+// Dotted keyPaths (e.g. 'a.b') walk down through own properties of nested objects.
+// The empty keyPath ('') returns the value itself.
+function keyPathValue(value, keyPath) {
+  if (keyPath instanceof Array) return keyPath.map((path) => keyPathValue(value, path));
+  if (keyPath === '') return value;
+  const parts = keyPath.split('.');
+  for (let i = 0; i < parts.length; i++) {
+    value = keyPathPart(value, parts[i]);
+    if (value === undefined) return undefined;
+  }
+  return value;
+}
+
+// Get a single identifier from a keyPath in a value.
+// Special properties like string length and Blob size are allowed as well as own properties.
+function keyPathPart(value, identifier) {
+  if (typeof value === 'string' && identifier === 'length') return value.length;
+  if (value instanceof Blob && (identifier === 'size' || identifier === 'type')) return value[identifier];
+  if (value instanceof File && (identifier === 'name' || identifier === 'lastModified')) return value[identifier];
+  if (value instanceof Object && Object.prototype.hasOwnProperty.call(value, identifier)) return value[identifier];
+  return undefined;
+}
+
+// Could a generated key be set at a keyPath in a value?
+// Every part of the keyPath that already exists must be an object.
+function canInjectKey(value, keyPath) {
+  const parts = keyPath.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (!(value instanceof Object)) return false;
+    if (!Object.prototype.hasOwnProperty.call(value, parts[i])) return true;
+    value = value[parts[i]];
+  }
+  return value instanceof Object;
+}
+
+// Set a generated key at a keyPath in a value.
+// Any missing objects along the keyPath are created.
+function injectKey(value, keyPath, key) {
+  const parts = keyPath.split('.');
+  const last = parts.pop();
+  for (let i = 0; i < parts.length; i++) {
+    if (!Object.prototype.hasOwnProperty.call(value, parts[i])) value[parts[i]] = {};
+    value = value[parts[i]];
+  }
+  value[last] = key;
+}
+
+// Find the key of the record matching a key.
+// Returns undefined if there's no matching record.
+// Numbers and strings are compared by value in the Map, other keys (dates, arrays, binary) need to be compared to every record's key.
+function recordKey(records, key) {
+  if (typeof key === 'number' || typeof key === 'string') return records.has(key) ? key : undefined;
+  for (const [primary] of records) if (IDBFactory.cmp(primary, key) === 0) return primary;
+  return undefined;
+}
+
+// Get the list of keys a value has in an index.
+// Records that don't have a valid key at the keyPath aren't in the index (so the list is empty).
+// multiEntry indexes have one key for each distinct valid key in an array value.
+function indexKeys(index, value) {
+  const key = keyPathValue(value, index.keyPath);
+  if (index.multiEntry && key instanceof Array) {
+    const keys = [];
+    for (let i = 0; i < key.length; i++) {
+      if (validKey(key[i]) && !keys.some((existing) => IDBFactory.cmp(existing, key[i]) === 0)) keys.push(key[i]);
+    }
+    return keys;
+  }
+  return validKey(key) ? [key] : [];
+}
+
+// Would putting a value at a primary key break a unique index?
+// i.e. does another record (with a different primary key) have any of the same keys in the index.
+function uniqueConflict(records, index, key, value) {
+  const keys = indexKeys(index, value);
+  if (!keys.length) return false;
+  const entries = indexEntries(records, index);
+  for (const k of keys) {
+    for (let i = entryPosition(entries, [k]); i < entries.length && IDBFactory.cmp(entries[i][0], k) === 0; i++) {
+      if (key === undefined || IDBFactory.cmp(entries[i][1], key) !== 0) return true;
+    }
+  }
+  return false;
+}
+
+// Sorted lists of `[indexKey, primaryKey]` entries for unique indexes, by records Map and then by index.
+// A list is built the first time a unique index is checked and kept up to date as records are put and deleted, so checks don't have to read every record.
+const uniqueEntries = new WeakMap();
+
+// Get the sorted list of entries for an index on a records Map.
+function indexEntries(records, index) {
+  let lists = uniqueEntries.get(records);
+  if (!lists) uniqueEntries.set(records, lists = new Map());
+  let entries = lists.get(index);
+  if (!entries) {
+    entries = [];
+    for (const [primary, value] of records) {
+      for (const key of indexKeys(index, value)) entries.push([key, primary]);
+    }
+    entries.sort(compareEntries);
+    lists.set(index, entries);
+  }
+  return entries;
+}
+
+// Compare two entries by index key, then by primary key.
+// An entry without a primary key sorts before every entry with the same index key.
+function compareEntries(a, b) {
+  const order = IDBFactory.cmp(a[0], b[0]);
+  if (order !== 0 || a.length < 2 || b.length < 2) return order || a.length - b.length;
+  return IDBFactory.cmp(a[1], b[1]);
+}
+
+// Find the position of the first entry that isn't lower than an entry (using a binary search).
+function entryPosition(entries, entry) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (compareEntries(entries[middle], entry) < 0) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+// Add the entries for a record to any lists built for its records Map (call after the record is set).
+function addEntries(records, primary) {
+  const lists = uniqueEntries.get(records);
+  if (!lists) return;
+  const value = records.get(primary);
+  for (const [index, entries] of lists) {
+    for (const key of indexKeys(index, value)) entries.splice(entryPosition(entries, [key, primary]), 0, [key, primary]);
+  }
+}
+
+// Remove the entries for a record from any lists built for its records Map (call before the record is deleted).
+function removeEntries(records, primary) {
+  const lists = uniqueEntries.get(records);
+  if (!lists) return;
+  const value = records.get(primary);
+  for (const [index, entries] of lists) {
+    for (const key of indexKeys(index, value)) {
+      const i = entryPosition(entries, [key, primary]);
+      if (i < entries.length && compareEntries(entries[i], [key, primary]) === 0) entries.splice(i, 1);
+    }
+  }
+}
+
+// Methods that change Maps, Sets and Dates (which Object.freeze() doesn't prevent).
+const mutatingMethods = [
+  [Map, ['set', 'delete', 'clear']],
+  [Set, ['add', 'delete', 'clear']],
+  [Date, Object.getOwnPropertyNames(Date.prototype).filter((name) => name.startsWith('set'))],
+];
+
+// Deep freeze a value.
+// Methods that would change Maps, Sets and Dates are replaced with methods that throw.
+// Binary data (ArrayBuffers and views) can't be frozen so it's left as it is.
+function freeze(value, frozen = new Set) {
+  // Only unfrozen objects need freezing.
+  if (typeof value !== 'object' || value === null || frozen.has(value)) return value;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value;
+  frozen.add(value);
+
+  // Block mutating methods.
+  for (const [type, methods] of mutatingMethods) {
+    if (value instanceof type) {
+      for (const method of methods) {
+        Object.defineProperty(value, method, {value: () => { throw new TypeError(method + '(): Cannot change a frozen result'); }});
+      }
+    }
+  }
+
+  // Freeze contents.
+  if (value instanceof Map) for (const [k, v] of value) { freeze(k, frozen); freeze(v, frozen); }
+  if (value instanceof Set) for (const v of value) freeze(v, frozen);
+  for (const prop of Object.keys(value)) freeze(value[prop], frozen);
+
+  // Freeze.
+  return Object.freeze(value);
+}
+
+// Objects with internal state that can't be copied by clone().
+// This is a fixed list, so other objects with internal state (e.g. class instances with private fields) are cloned as plain objects.
+const uncloneableTypes = [WeakMap, WeakSet, Promise]
+  .concat(typeof WeakRef !== 'undefined' ? [WeakRef] : [])
+  .concat(typeof SharedArrayBuffer !== 'undefined' ? [SharedArrayBuffer] : []);
+
+// Typed array types (views onto an ArrayBuffer are cloned as the same type).
+const typedArrayTypes = [Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array, Float64Array]
+  .concat(typeof BigInt64Array !== 'undefined' ? [BigInt64Array, BigUint64Array] : []);
+
+// Error types that are kept when errors are cloned (any other error is cloned as an Error).
+const errorTypes = [Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError];
+
+// Deep clone a value using the structured clone algorithm (the same way IndexedDB clones values it stores).
+// `memory` maps objects that have already been cloned to their clones, so shared and cyclic references are kept.
+// Throws DataCloneError for values that can't be cloned (functions, symbols, and objects like WeakMap with internal state that can't be copied).
+function clone(value, memory = new Map) {
+  // Primitives (including undefined, NaN, Infinity and BigInt) don't need to be cloned.
+  if (typeof value === 'function') {
+    throw new DOMException('clone(): Functions cannot be cloned', 'DataCloneError');
+  }
+  if (typeof value === 'symbol') {
+    throw new DOMException('clone(): Symbols cannot be cloned', 'DataCloneError');
+  }
+  if (typeof value !== 'object' || value === null) return value;
+
+  // Objects that have already been cloned.
+  if (memory.has(value)) return memory.get(value);
+
+  // Objects that can't be cloned.
+  if (uncloneableTypes.some((type) => value instanceof type)) {
+    throw new DOMException('clone(): ' + Object.prototype.toString.call(value) + ' cannot be cloned', 'DataCloneError');
+  }
+
   // Switch on type.
-  if (value instanceof Array) {
-    // Don't work on non-plain arrays.
-    if (value.constructor !== Array) {
-      throw new Error('clone() can only clone plain arrays');
-    }
-
-    // Quickly deep clone plain arrays by recursively calling clone() via map()
-    return value.map(clone);
-  } else if (value instanceof Object) {
-    // Don't work on non-plain objects.
-    if (value.constructor !== Object) {
-      // TODO(philipwalton): temporarily allow copying this by reference
-      // since IndexedDB supports storing things like Blobs.
-      // https://github.com/dhoulb/shelving-mock-indexeddb/issues/2
-      return value;
-      // throw new Error('clone() can only clone plain objects');
-    }
-
-    // Deep clone the object.
-    const cloned = {};
-    for (const i in value) cloned[i] = clone(value[i]);
-    return cloned;
-  } else if (typeof value === 'number') {
-    // Finite numbers only.
-    // Things like Infinity and NaN are not
-    if (!isFinite(value)) {
-      throw new Error('clone() cannot clone non-finite number');
-    }
-
-    // No need to clone primative numbers.
-    return value;
-  } else if (typeof value === 'string' || typeof value === 'boolean' || value === null) {
-    // No need to clone primitive strings, booleans, or null.
-    return value;
+  let cloned;
+  if (value instanceof Boolean || value instanceof Number || value instanceof String || (typeof BigInt !== 'undefined' && value instanceof BigInt)) {
+    // Boxed primitives.
+    cloned = Object(value.valueOf());
+  } else if (value instanceof Date) {
+    cloned = new Date(value.getTime());
+  } else if (value instanceof RegExp) {
+    cloned = new RegExp(value.source, value.flags);
+  } else if (value instanceof File) {
+    // Files and Blobs are copied, so every clone is a new object (with the same bytes and properties).
+    cloned = new File([value], value.name, {type: value.type, lastModified: value.lastModified});
+  } else if (value instanceof Blob) {
+    cloned = new Blob([value], {type: value.type});
+  } else if (value instanceof ArrayBuffer) {
+    cloned = value.slice(0);
+  } else if (ArrayBuffer.isView(value)) {
+    // Views share their cloned buffer with any other views onto the same buffer.
+    const buffer = clone(value.buffer, memory);
+    if (value instanceof DataView) cloned = new DataView(buffer, value.byteOffset, value.byteLength);
+    else cloned = new (typedArrayTypes.find((type) => value instanceof type))(buffer, value.byteOffset, value.length);
+  } else if (value instanceof Map) {
+    cloned = new Map;
+    memory.set(value, cloned);
+    for (const [k, v] of value) cloned.set(clone(k, memory), clone(v, memory));
+  } else if (value instanceof Set) {
+    cloned = new Set;
+    memory.set(value, cloned);
+    for (const v of value) cloned.add(clone(v, memory));
+  } else if (value instanceof Error) {
+    // Errors keep their type, message, stack and cause.
+    cloned = Object.create((errorTypes.find((type) => type.name === value.name) || Error).prototype);
+    memory.set(value, cloned);
+    for (const prop of ['message', 'stack']) {
+      if (Object.prototype.hasOwnProperty.call(value, prop)) Object.defineProperty(cloned, prop, {value: String(value[prop]), writable: true, configurable: true});
+    }
+    if (Object.prototype.hasOwnProperty.call(value, 'cause')) Object.defineProperty(cloned, 'cause', {value: clone(value.cause, memory), writable: true, configurable: true});
   } else {
-    // Don't work with undefined.
-    throw new Error('clone() can only clone JSON-friendly values (null, true, false, string, finite number, plain object, plain array)');
+    // Arrays (including sparse arrays) and any other objects (including class instances, which are cloned as plain objects).
+    // Only own enumerable string properties are cloned.
+    cloned = value instanceof Array ? new Array(value.length) : {};
+    memory.set(value, cloned);
+    for (const prop of Object.keys(value)) cloned[prop] = clone(value[prop], memory);
   }
+
+  // Return.
+  memory.set(value, cloned);
+  return cloned;
 }
 
 // Exports.
@@ -1877,10 +3125,14 @@ module.exports.IDBObjectStore = IDBObjectStore;
 module.exports.IDBIndex = IDBIndex;
 module.exports.IDBCursor = IDBCursor;
 module.exports.IDBCursorWithValue = IDBCursorWithValue;
+module.exports.IDBRecord = IDBRecord;
 module.exports.IDBKeyRange = IDBKeyRange;
 module.exports.IDBVersionChangeEvent = IDBVersionChangeEvent;
 module.exports.DOMException = DOMException;
+module.exports.Blob = Blob;
+module.exports.File = File;
 module.exports.validIdentifier = validIdentifier;
+module.exports.validName = validName;
 module.exports.validKeyPath = validKeyPath;
 module.exports.validMultiKeyPath = validMultiKeyPath;
 module.exports.validVersion = validVersion;
@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+const { IDBFactory, Blob, File, reset } = require('../lib/mock');
+
+// Vars.
+const indexedDB = new IDBFactory;
+
+// Reset before and after.
+beforeEach(() => reset());
+afterEach(() => reset());
+
+// Ensure any setTimeout functions are run with tests.
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.runAllTimers());
+
+// Blobs and Files (without a global Blob or File, so the minimal implementations are used).
+describe('IndexedDB mock blobs', () => {
+	test('Blob: Minimal implementation is used if there is no global Blob', () => {
+		const bytes = new Uint8Array([104, 105]);
+		const blob = new Blob(['abc', bytes, new Blob(['€'])], { type: 'Text/Plain' });
+		bytes[0] = 0; // Bytes are copied.
+		expect(blob.size).toBe(8);
+		expect(blob.type).toBe('text/plain');
+		expect(blob.slice(1, 4).size).toBe(3);
+		return blob.text().then(text => expect(text).toBe('abchi€'));
+	});
+	test('File: Minimal implementation is used if there is no global File', () => {
+		const file = new File(['abc'], 'a.txt', { type: 'text/plain', lastModified: 1000 });
+		expect(file).toBeInstanceOf(Blob);
+		expect(file.size).toBe(3);
+		expect(file.name).toBe('a.txt');
+		expect(file.lastModified).toBe(1000);
+		expect(() => new File(['abc'])).toThrow(TypeError);
+	});
+	test('put(): Blobs are stored as snapshots of their bytes and read as new Blobs', () => {
+
+		// Vars.
+		const blob = new Blob(['thumbnail'], { type: 'image/png' });
+		let result;
+
+		// Handlers.
+		const get = jest.fn(e => {
+			result = e.target.result;
+			expect(result).toBeInstanceOf(Blob);
+			expect(result).not.toBe(blob);
+			expect(result.size).toBe(9);
+			expect(result.type).toBe('image/png');
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('size', 'size');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put and get.
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put(blob, 1);
+			store.index('size').get(9).onsuccess = get;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		return result.text().then(text => expect(text).toBe('thumbnail'));
+
+	});
+});
@@ -1,4 +1,4 @@
-const { IDBFactory, IDBDatabase, IDBTransaction, IDBOpenDBRequest, IDBObjectStore, IDBIndex, IDBVersionChangeEvent, reset } = require('../lib/mock');
+const { IDBFactory, IDBDatabase, IDBTransaction, IDBOpenDBRequest, IDBObjectStore, IDBIndex, IDBVersionChangeEvent, DOMException, reset } = require('../lib/mock');
 const { Event } = require('shelving-mock-event');
 
 // Vars.
@@ -128,6 +128,188 @@ describe('IndexedDB mock connections', () => {
 		expect(request.onsuccess).toHaveBeenCalled();
 
 	});
+	test('Connect to database without a version opens the current version', () => {
+
+		// Handlers.
+		const success2 = jest.fn(e => {
+			expect(e.target.result.version).toBe(3);
+		});
+		const upgradeneeded2 = jest.fn();
+
+		// Open a connection without a version.
+		const request = indexedDB.open('testing');
+		expect(request).toBeInstanceOf(IDBOpenDBRequest);
+
+		// 'upgradeneeded' will be fired because the database doesn't exist yet.
+		request.onupgradeneeded = jest.fn(e => {
+			expect(e.oldVersion).toBe(0);
+			expect(e.newVersion).toBe(1);
+			expect(e.target.result.version).toBe(1);
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Close the connection, upgrade, then open the current version again.
+			expect(e.target.result.version).toBe(1);
+			e.target.result.close();
+			indexedDB.open('testing', 3).onsuccess = jest.fn(e => {
+				e.target.result.close();
+				const request2 = indexedDB.open('testing');
+				request2.onupgradeneeded = upgradeneeded2;
+				request2.onsuccess = success2;
+			});
+
+		});
+
+		// Run and check handlers.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(upgradeneeded2).not.toHaveBeenCalled();
+		expect(success2).toHaveBeenCalled();
+
+	});
+
+	test('Aborting an upgrade restores the previous version and schema and fails the open request', () => {
+
+		// Handlers.
+		let db2;
+		const error = jest.fn(e => {
+			expect(e.target.error).toBeInstanceOf(DOMException);
+			expect(e.target.error.name).toBe('AbortError');
+			expect(e.target.result).toBe(undefined);
+			expect(db2.version).toBe(1); // Connection reports the old version.
+			expect(() => db2.transaction('a', 'readonly')).toThrow(DOMException); // Connection is closed.
+		});
+		const success2 = jest.fn();
+		const success3 = jest.fn(e => {
+			const db = e.target.result;
+			expect(db.version).toBe(1);
+			expect(Array.from(db.objectStoreNames)).toEqual(['a']);
+			const store = db.transaction('a', 'readonly').objectStore('a');
+			expect(store.indexNames.length).toBe(0);
+			store.getAll().onsuccess = getAll;
+		});
+		const getAll = jest.fn(e => {
+			expect(e.target.result).toEqual(['a1']);
+		});
+
+		// Open version 1.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+			e.target.result.createObjectStore('a').put('a1', 1);
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Close the connection, then upgrade to version 2 but abort.
+			e.target.result.close();
+			const request2 = indexedDB.open('testing', 2);
+			request2.onupgradeneeded = jest.fn(e => {
+				db2 = e.target.result;
+				db2.createObjectStore('b');
+				const store = e.target.transaction.objectStore('a');
+				store.createIndex('index', 'indexed');
+				store.put('a2', 2);
+				e.target.transaction.abort();
+			});
+			request2.onsuccess = success2;
+			request2.onerror = error;
+
+			// Open the current version again.
+			indexedDB.open('testing').onsuccess = success3;
+
+		});
+
+		// Run and check handlers.
+		jest.runAllTimers();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(error).toHaveBeenCalled();
+		expect(success2).not.toHaveBeenCalled();
+		expect(success3).toHaveBeenCalled();
+		expect(getAll).toHaveBeenCalled();
+
+	});
+
+	test('An upgradeneeded handler that throws aborts the upgrade', () => {
+
+		// Handlers.
+		const abort = jest.fn(e => {
+			expect(e.target.error.name).toBe('AbortError');
+		});
+		const error = jest.fn(e => {
+			expect(e.target.error.name).toBe('AbortError');
+		});
+
+		// Open a connection and throw.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+			e.target.transaction.onabort = abort;
+			e.target.result.createObjectStore('store');
+			throw new Error('Something went wrong');
+		});
+		request.onsuccess = jest.fn();
+		request.onerror = error;
+
+		// Run (the open request fails instead of the error being thrown).
+		expect(() => jest.runAllTimers()).not.toThrow();
+		expect(request.onsuccess).not.toHaveBeenCalled();
+		expect(abort).toHaveBeenCalled();
+		expect(error).toHaveBeenCalled();
+
+		// The database wasn't created.
+		const request2 = indexedDB.open('testing', 1);
+		request2.onupgradeneeded = jest.fn(e => {
+			expect(e.oldVersion).toBe(0);
+			expect(e.target.result.objectStoreNames.length).toBe(0);
+		});
+		jest.runAllTimers();
+		expect(request2.onupgradeneeded).toHaveBeenCalled();
+
+	});
+	test('Connect to database with any string names for the database, object stores and indexes', () => {
+
+		// Vars.
+		const storeNames = ['', '__proto__', 'constructor', 'my store']; // Code unit order.
+
+		// Handlers.
+		const get = jest.fn(e => {
+			expect(e.target.result).toEqual({name:'a'});
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('AppCache-Prod', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create stores and indexes.
+			for (const storeName of storeNames) e.target.result.createObjectStore(storeName).createIndex('By Name', 'name');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Check names.
+			expect(e.target.result.name).toBe('AppCache-Prod');
+			expect(e.target.result.objectStoreNames.slice()).toEqual(storeNames);
+
+			// Put and get.
+			for (const storeName of storeNames) {
+				const transaction = e.target.result.transaction(storeName, 'readwrite');
+				expect(transaction.objectStore(storeName).indexNames).toEqual(['By Name']);
+				transaction.objectStore(storeName).put({name:'a'}, 1);
+				transaction.objectStore(storeName).index('By Name').get('a').onsuccess = get;
+			}
+
+			// Names must still be strings.
+			expect(() => e.target.result.transaction(1, 'readonly')).toThrow(TypeError);
+
+		});
+
+		// Run and check handlers.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get).toHaveBeenCalledTimes(4);
+		return indexedDB.databases().then(databases => expect(databases).toEqual([{name: 'AppCache-Prod', version: 1}]));
+
+	});
 });
 
 // Multiple connections and 'versionchange' events.
@@ -180,4 +362,590 @@ describe('IndexedDB mock multiple connections', () => {
 		expect(request2.onsuccess).toHaveBeenCalled(); // Not called because request1 is still open.
 
 	});
-});
\ No newline at end of file
+	test('Database connection waits for closing connections to finish their transactions', () => {
+
+		// Handlers.
+		let request2;
+		const complete = jest.fn();
+		const get = jest.fn(e => {
+			expect(e.target.result).toBe('a');
+		});
+
+		// First connection.
+		const request1 = indexedDB.open('testing', 1);
+		request1.onupgradeneeded = jest.fn(e => { e.target.result.createObjectStore('store'); });
+		const versionchange = jest.fn(e => { e.target.close(); }); // Close the database on versionchange event (while a transaction is still running).
+		request1.onsuccess = jest.fn(e => {
+			const db = e.target.result;
+			db.onversionchange = versionchange;
+			const transaction = db.transaction('store', 'readwrite');
+			transaction.objectStore('store').put('a', 1).onsuccess = () => transaction.objectStore('store').put('b', 2);
+			transaction.oncomplete = complete;
+
+			// Second connection.
+			request2 = indexedDB.open('testing', 2);
+			request2.onblocked = jest.fn();
+			request2.onsuccess = jest.fn(e => {
+				expect(complete).toHaveBeenCalled();
+				e.target.result.transaction('store', 'readonly').objectStore('store').get(1).onsuccess = get;
+			});
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(versionchange).toHaveBeenCalled();
+		expect(complete).toHaveBeenCalled();
+		expect(request2.onblocked).not.toHaveBeenCalled(); // Not called because the first connection is closing.
+		expect(request2.onsuccess).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+
+	});
+});
+// Transactions.
+describe('IndexedDB mock transactions', () => {
+	test('commit(): Completes queued requests but does not allow new requests', () => {
+
+		// Handlers.
+		const get = jest.fn(e => {
+			expect(e.target.result).toEqual({a:1});
+		});
+		const complete = jest.fn();
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put, get, and commit.
+			const transaction = e.target.result.transaction('store', 'readwrite', { durability: 'relaxed' });
+			expect(transaction.durability).toBe('relaxed');
+			const store = transaction.objectStore('store');
+			store.put({a:1}, 1);
+			store.get(1).onsuccess = get;
+			transaction.oncomplete = complete;
+			transaction.commit();
+
+			// Transaction is committing.
+			expect(() => store.put({a:2}, 2)).toThrow(DOMException);
+			expect(() => transaction.commit()).toThrow(DOMException);
+			expect(() => transaction.abort()).toThrow(DOMException);
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		expect(complete).toHaveBeenCalled();
+
+	});
+	test('commit(): Throws InvalidStateError if the transaction has finished', () => {
+
+		// Handlers.
+		const complete = jest.fn(e => {
+			expect(() => e.target.commit()).toThrow(DOMException);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Transaction with default durability.
+			const transaction = e.target.result.transaction('store', 'readonly');
+			expect(transaction.durability).toBe('default');
+			transaction.oncomplete = complete;
+			expect(() => e.target.result.transaction('store', 'readonly', { durability: 'fast' })).toThrow(TypeError);
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(complete).toHaveBeenCalled();
+
+	});
+	test('commit(): Throws InvalidStateError if the transaction is not active', () => {
+
+		// Handlers.
+		const inactive = jest.fn(e => {
+			expect(e).toBeInstanceOf(DOMException);
+			expect(e.name).toBe('InvalidStateError');
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Commit from a later task.
+			const transaction = e.target.result.transaction('store', 'readonly');
+			setTimeout(() => {
+				expect(() => transaction.commit()).toThrow(DOMException);
+				try { transaction.commit(); } catch (err) { inactive(err); }
+			});
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(inactive).toHaveBeenCalled();
+
+	});
+	test('Transactions are only active while they are created and while their request events are dispatched', () => {
+
+		// Handlers.
+		const later = jest.fn();
+		const get = jest.fn(e => {
+			const store = e.target.source;
+
+			// Active while dispatching, so more requests can be made.
+			store.get(2).onsuccess = got;
+
+			// Inactive once the event has been dispatched.
+			setTimeout(() => {
+				try {
+					store.get(1);
+				} catch (err) {
+					expect(err).toBeInstanceOf(DOMException);
+					expect(err.name).toBe('TransactionInactiveError');
+					later();
+				}
+			});
+
+		});
+		const got = jest.fn(e => {
+			expect(e.target.result).toEqual({b:2});
+		});
+		let store;
+		const complete = jest.fn(() => {
+			try {
+				store.get(1);
+			} catch (err) {
+				expect(err.name).toBe('TransactionInactiveError');
+				finished();
+			}
+		});
+		const finished = jest.fn();
+		const inactive = jest.fn();
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			const store = e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+			store.put({a:1}, 1);
+			store.put({b:2}, 2);
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Active while it's being created.
+			const transaction = e.target.result.transaction('store', 'readonly');
+			store = transaction.objectStore('store');
+			store.get(1).onsuccess = get;
+			transaction.oncomplete = complete;
+
+			// Inactive once the task that created it has finished.
+			const other = e.target.result.transaction('store', 'readonly').objectStore('store');
+			setTimeout(() => {
+				expect(() => other.get(1)).toThrow(DOMException);
+				inactive();
+			});
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		expect(got).toHaveBeenCalled();
+		expect(later).toHaveBeenCalled();
+		expect(complete).toHaveBeenCalled();
+		expect(finished).toHaveBeenCalled();
+		expect(inactive).toHaveBeenCalled();
+
+	});
+	test('Transactions stay active while promises resolve in the same task, and commit before the next task', () => {
+
+		// Use real timers so promise callbacks run between tasks.
+		jest.useRealTimers();
+
+		// Vars.
+		const promisify = (request) => new Promise((resolve, reject) => {
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+		const complete = jest.fn();
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+
+		// Run.
+		return promisify(request).then(db => {
+
+			// Make requests after waiting for promises of earlier requests.
+			const transaction = db.transaction('store', 'readwrite');
+			const store = transaction.objectStore('store');
+			transaction.oncomplete = complete;
+			return promisify(store.put('a', 1))
+				.then(() => promisify(store.put('b', 2)))
+				.then(() => promisify(store.getAll()))
+				.then(result => {
+					expect(result).toEqual(['a', 'b']);
+
+					// Wait for the next task.
+					return new Promise(resolve => setTimeout(resolve, 0));
+				})
+				.then(() => {
+					// Transaction has committed and is inactive.
+					expect(complete).toHaveBeenCalled();
+					expect(() => store.get(1)).toThrow(DOMException);
+
+					// Back to fake timers.
+					jest.useFakeTimers();
+				});
+
+		});
+
+	});
+
+	test('Transactions run at the same time unless their scopes overlap and one of them is readwrite', () => {
+
+		// Vars.
+		const order = [];
+		const log = (name) => jest.fn(() => order.push(name));
+		let db2;
+
+		// Open two connections.
+		const request1 = indexedDB.open('testing', 1);
+		request1.onupgradeneeded = jest.fn(e => {
+
+			// Create object stores.
+			e.target.result.createObjectStore('a').put('a1', 1);
+			e.target.result.createObjectStore('b').put('b1', 1);
+
+		});
+		request1.onsuccess = jest.fn(() => {
+
+			// Second connection.
+			const request2 = indexedDB.open('testing', 1);
+			request2.onsuccess = jest.fn(e => { db2 = e.target.result; });
+
+		});
+		jest.runAllTimers();
+		const db1 = request1.result;
+		expect(db2).toBeInstanceOf(IDBDatabase);
+
+		// Readonly transactions on the same store run at the same time.
+		const read1 = db1.transaction('a', 'readonly').objectStore('a');
+		const read2 = db2.transaction('a', 'readonly').objectStore('a');
+		read1.get(1).onsuccess = jest.fn(() => { order.push('read1a'); read1.get(1).onsuccess = log('read1b'); });
+		read2.get(1).onsuccess = jest.fn(() => { order.push('read2a'); read2.get(1).onsuccess = log('read2b'); });
+		jest.runAllTimers();
+		expect(order).toEqual(['read1a', 'read2a', 'read1b', 'read2b']);
+		order.length = 0;
+
+		// Readwrite transactions on different stores run at the same time, and don't overwrite each other's changes.
+		const write1 = db1.transaction('a', 'readwrite').objectStore('a');
+		const write2 = db2.transaction('b', 'readwrite').objectStore('b');
+		write1.put('a2', 2).onsuccess = jest.fn(() => { order.push('write1a'); write1.put('a3', 3).onsuccess = log('write1b'); });
+		write2.put('b2', 2).onsuccess = jest.fn(() => { order.push('write2a'); write2.put('b3', 3).onsuccess = log('write2b'); });
+		jest.runAllTimers();
+		expect(order).toEqual(['write1a', 'write2a', 'write1b', 'write2b']);
+		order.length = 0;
+
+		// Transactions that overlap a readwrite transaction wait for it to finish (on any connection).
+		const transaction = db1.transaction(['a', 'b'], 'readwrite');
+		transaction.objectStore('a').put('a4', 4).onsuccess = jest.fn(() => { order.push('write3a'); transaction.objectStore('b').put('b4', 4).onsuccess = log('write3b'); });
+		transaction.oncomplete = log('write3complete');
+		const read3 = db2.transaction('b', 'readonly').objectStore('b');
+		read3.getAll().onsuccess = jest.fn(e => { order.push('read3'); expect(e.target.result).toEqual(['b1', 'b2', 'b3', 'b4']); });
+		const read4 = db1.transaction('a', 'readonly').objectStore('a');
+		read4.getAll().onsuccess = jest.fn(e => { order.push('read4'); expect(e.target.result).toEqual(['a1', 'a2', 'a3', 'a4']); });
+		jest.runAllTimers();
+		expect(order).toEqual(['write3a', 'write3b', 'write3complete', 'read3', 'read4']);
+
+	});
+
+	test('Waiting transactions still run if a complete handler throws', () => {
+
+		// Handlers.
+		const got = jest.fn(e => {
+			expect(e.target.result).toBe('a1');
+		});
+		const complete = jest.fn();
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// First transaction throws when it completes.
+			const transaction1 = e.target.result.transaction('store', 'readwrite');
+			transaction1.objectStore('store').put('a1', 1);
+			transaction1.oncomplete = () => { throw new Error('Something went wrong'); };
+
+			// Second transaction waits for the first.
+			const transaction2 = e.target.result.transaction('store', 'readwrite');
+			transaction2.objectStore('store').get(1).onsuccess = got;
+			transaction2.oncomplete = complete;
+
+		});
+
+		// Run.
+		expect(() => jest.runAllTimers()).toThrow('Something went wrong');
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(got).toHaveBeenCalled();
+		expect(complete).toHaveBeenCalled();
+
+	});
+
+	test('Factories with a seed run concurrent transactions in a random order that the seed replays', () => {
+
+		// Run three concurrent transactions that make two requests each, and return the order the requests ran in.
+		const run = (seed) => {
+			reset();
+			const factory = new IDBFactory({ seed });
+			const order = [];
+			const request = factory.open('testing', 1);
+			request.onupgradeneeded = jest.fn(e => { e.target.result.createObjectStore('store'); });
+			request.onsuccess = jest.fn(e => {
+				['a', 'b', 'c'].forEach(name => {
+					const store = e.target.result.transaction('store', 'readonly').objectStore('store');
+					store.get(1).onsuccess = () => {
+						order.push(name + '1');
+						store.get(2).onsuccess = () => order.push(name + '2');
+					};
+				});
+			});
+			jest.runAllTimers();
+			expect(order.length).toBe(6);
+			expect(order.indexOf('a1')).toBeLessThan(order.indexOf('a2')); // Requests in a transaction are still in order.
+			return order.join();
+		};
+
+		// Without a seed transactions take turns.
+		expect(run()).toBe('a1,b1,c1,a2,b2,c2');
+
+		// The same seed gives the same order, different seeds give different orders.
+		const orders = [1, 2, 3, 4, 5, 6, 7, 8].map(run);
+		expect([1, 2, 3, 4, 5, 6, 7, 8].map(run)).toEqual(orders);
+		expect(orders.filter((order, i) => orders.indexOf(order) === i).length).toBeGreaterThan(1);
+
+		// Seeds must be integers.
+		expect(() => new IDBFactory({ seed: 'abc' })).toThrow(TypeError);
+		expect(() => new IDBFactory({ seed: 1.5 })).toThrow(TypeError);
+
+		// The seed can be read from the factory.
+		expect(new IDBFactory({ seed: 42 }).seed).toBe(42);
+		expect(new IDBFactory().seed).toBe(undefined);
+
+	});
+
+	test('Factories with a seed replay the same order under real timers, however long handlers take', () => {
+
+		// Use real timers so the order could depend on how long things take.
+		jest.useRealTimers();
+
+		// Keep busy for up to 3ms.
+		const busy = () => {
+			const end = Date.now() + Math.floor(Math.random() * 4);
+			while (Date.now() < end) continue;
+		};
+
+		// Run four concurrent transactions that make two requests each, and resolve with the order the requests ran in.
+		const run = (seed) => new Promise(resolve => {
+			reset();
+			const factory = new IDBFactory({ seed });
+			const order = [];
+			let completed = 0;
+			const request = factory.open('testing', 1);
+			request.onupgradeneeded = e => { e.target.result.createObjectStore('store'); };
+			request.onsuccess = e => {
+				['a', 'b', 'c', 'd'].forEach(name => {
+					const transaction = e.target.result.transaction('store', 'readonly');
+					const store = transaction.objectStore('store');
+					store.get(1).onsuccess = () => {
+						busy();
+						order.push(name + '1');
+						store.get(2).onsuccess = () => {
+							busy();
+							order.push(name + '2');
+						};
+					};
+					transaction.oncomplete = () => {
+						if (++completed === 4) resolve(order.join());
+					};
+				});
+			};
+		});
+
+		// Run the same seed six times.
+		const orders = [];
+		const again = () => run(7).then(order => {
+			orders.push(order);
+			if (orders.length < 6) return again();
+		});
+		return again().then(() => {
+			expect(orders[0].split(',').length).toBe(8);
+			orders.forEach(order => expect(order).toBe(orders[0]));
+
+			// Back to fake timers.
+			jest.useFakeTimers();
+		});
+
+	});
+
+	test('Factories with a seed include the seed in errors thrown by handlers', () => {
+
+		// Open a connection and throw in a handler.
+		const factory = new IDBFactory({ seed: 1234 });
+		const request = factory.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => { e.target.result.createObjectStore('store'); });
+		request.onsuccess = jest.fn(e => {
+			e.target.result.transaction('store', 'readonly').objectStore('store').get(1).onsuccess = () => {
+				throw new Error('Something went wrong');
+			};
+		});
+
+		// Run.
+		expect(() => jest.runAllTimers()).toThrow('Something went wrong (IndexedDB mock seed: 1234)');
+
+	});
+
+	test('reportSeed(): Includes the seed in errors thrown by tests', () => {
+
+		// Failures in the test itself (e.g. after running timers).
+		const factory = new IDBFactory({ seed: 1234 });
+		expect(() => factory.reportSeed(() => { throw new Error('Expected something else'); })).toThrow('Expected something else (IndexedDB mock seed: 1234)');
+		expect(factory.reportSeed(() => 'result')).toBe('result');
+		expect(() => factory.reportSeed('abc')).toThrow(TypeError);
+
+		// Without a seed errors are left as they are.
+		expect(() => new IDBFactory().reportSeed(() => { throw new Error('Expected something else'); })).toThrow(/^Expected something else$/);
+
+	});
+
+	test('reportSeed(): Includes the seed in errors from async tests', () => {
+
+		// Use real timers so promise callbacks run between tasks.
+		jest.useRealTimers();
+
+		// Vars.
+		const factory = new IDBFactory({ seed: 5678 });
+		const promisify = (request) => new Promise((resolve, reject) => {
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+		const rejected = jest.fn(err => {
+			expect(err.name).toBe('ConstraintError');
+			expect(err.message).toMatch('(IndexedDB mock seed: 5678)');
+		});
+
+		// Open a connection.
+		const request = factory.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+
+		// Run an async flow that fails (adding an existing key rejects).
+		return factory.reportSeed(() => promisify(request).then(db => {
+			const store = db.transaction('store', 'readwrite').objectStore('store');
+			return promisify(store.add('a', 1)).then(() => promisify(store.add('b', 1)));
+		})).then(() => { throw new Error('Expected a rejection'); }, rejected).then(() => {
+			expect(rejected).toHaveBeenCalled();
+
+			// Back to fake timers.
+			jest.useFakeTimers();
+		});
+
+	});
+});
+
+// Listing databases.
+describe('IndexedDB mock databases', () => {
+	test('databases(): Lists databases and their versions (including during upgrades and deletions)', () => {
+
+		// Handlers.
+		let upgrading;
+		let deleting;
+		const versionchange = jest.fn(e => {
+			deleting = indexedDB.databases();
+			e.target.close();
+		});
+
+		// Open a connection.
+		const before = indexedDB.databases();
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(() => { upgrading = indexedDB.databases(); });
+		request.onsuccess = jest.fn(e => { e.target.result.onversionchange = versionchange; });
+
+		// Run.
+		jest.runAllTimers();
+		const after = indexedDB.databases();
+
+		// Delete the database.
+		indexedDB.deleteDatabase('testing');
+		jest.runAllTimers();
+		const deleted = indexedDB.databases();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(versionchange).toHaveBeenCalled();
+
+		// Check lists.
+		return Promise.all([before, upgrading, after, deleting, deleted]).then(([before, upgrading, after, deleting, deleted]) => {
+			expect(before).toEqual([]);
+			expect(upgrading).toEqual([{name: 'testing', version: 1}]);
+			expect(after).toEqual([{name: 'testing', version: 1}]);
+			expect(deleting).toEqual([{name: 'testing', version: 1}]);
+			expect(deleted).toEqual([]);
+		});
+
+	});
+});
@@ -1,4 +1,8 @@
-const { IDBKeyRange, clone, validIdentifier, validKeyPath, validMultiKeyPath, validVersion, validKey, validKeyRange, keyInRange } = require('../lib/mock');
+/* global BigInt */
+const { IDBFactory, IDBKeyRange, DOMException, clone, validIdentifier, validName, validKeyPath, validMultiKeyPath, validVersion, validKey, validKeyRange, keyInRange } = require('../lib/mock');
+
+// Get the error a function throws (or undefined if it doesn't throw).
+const thrown = (fn) => { try { fn(); } catch (err) { return err; } };
 
 // Helpers.
 describe('IndexedDB mock helpers', () => {
@@ -18,13 +22,77 @@ describe('IndexedDB mock helpers', () => {
 		expect(arr2[0]).not.toBe(arr1[0]);
 		expect(arr2[2]).not.toBe(arr1[2]);
 	});
-	test('clone(): Rejects non-plain objects and arrays', () => {
-		expect(() => clone(String)).toThrow(Error);
-		expect(() => clone(new class Something {})).toThrow(Error);
-		expect(() => clone(new class Something extends Array {})).toThrow(Error);
+	test('clone(): Clones primitives (including undefined, NaN, Infinity and BigInt) and boxed primitives', () => {
+		expect(clone(undefined)).toBe(undefined);
+		expect(clone(NaN)).toBeNaN();
+		expect(clone(-Infinity)).toBe(-Infinity);
+		if (typeof BigInt !== 'undefined') expect(clone(BigInt(9007199254740993))).toBe(BigInt(9007199254740993)); // Not in older Node versions.
+		const boxed = Object('abc');
+		expect(clone(boxed)).toBeInstanceOf(String);
+		expect(clone(boxed)).not.toBe(boxed);
+		expect(clone(boxed).valueOf()).toBe('abc');
+		expect(clone(Object(false)).valueOf()).toBe(false);
+	});
+	test('clone(): Clones dates, regular expressions, maps and sets', () => {
+		const date = new Date(2000, 0, 1);
+		expect(clone(date)).toEqual(date);
+		expect(clone(date)).not.toBe(date);
+		const regexp = /a+b/gi;
+		expect(clone(regexp)).toEqual(regexp);
+		expect(clone(regexp).flags).toBe('gi');
+		const map = new Map([[{a:1}, new Set([1, 2])]]);
+		const clonedMap = clone(map);
+		expect(clonedMap).toBeInstanceOf(Map);
+		expect([...clonedMap.keys()][0]).toEqual({a:1});
+		expect([...clonedMap.keys()][0]).not.toBe([...map.keys()][0]);
+		expect([...clonedMap.values()][0]).toEqual(new Set([1, 2]));
+	});
+	test('clone(): Clones binary data (sharing buffers between views)', () => {
+		const buffer = new ArrayBuffer(8);
+		const view1 = new Uint8Array(buffer, 2, 4);
+		const view2 = new DataView(buffer);
+		const [clone1, clone2, clone3] = clone([view1, view2, new Float64Array([1.5])]);
+		expect(clone1).toBeInstanceOf(Uint8Array);
+		expect(clone1.byteOffset).toBe(2);
+		expect(clone1.length).toBe(4);
+		expect(clone1.buffer).not.toBe(buffer);
+		expect(clone2).toBeInstanceOf(DataView);
+		expect(clone2.buffer).toBe(clone1.buffer);
+		expect(clone3).toEqual(new Float64Array([1.5]));
+	});
+	test('clone(): Clones errors (keeping their type and message)', () => {
+		const err = clone(new RangeError('Out of range'));
+		expect(err).toBeInstanceOf(RangeError);
+		expect(err.message).toBe('Out of range');
+		expect(clone(new class CustomError extends Error {}('Custom')).constructor).toBe(Error);
 	});
-	test('clone(): Rejects undefined', () => {
-		expect(() => clone(undefined)).toThrow(Error);
+	test('clone(): Clones sparse arrays, cyclic references and shared references', () => {
+		const sparse = clone([1, , 3]); // eslint-disable-line no-sparse-arrays
+		expect(sparse).toHaveLength(3);
+		expect(1 in sparse).toBe(false);
+		const cyclic = {a: 1};
+		cyclic.self = cyclic;
+		const clonedCyclic = clone(cyclic);
+		expect(clonedCyclic).not.toBe(cyclic);
+		expect(clonedCyclic.self).toBe(clonedCyclic);
+		const shared = {a: 1};
+		const clonedShared = clone([shared, shared]);
+		expect(clonedShared[0]).toBe(clonedShared[1]);
+	});
+	test('clone(): Clones class instances as plain objects and array subclasses as arrays', () => {
+		const instance = clone(new class Something { constructor() { this.a = 1; } });
+		expect(instance.constructor).toBe(Object);
+		expect(instance).toEqual({a: 1});
+		expect(clone(new class Something extends Array {}).constructor).toBe(Array);
+	});
+	test('clone(): Rejects functions, symbols, and objects with internal state that can\'t be copied', () => {
+		expect(() => clone(String)).toThrow(DOMException);
+		expect(() => clone({a: () => true})).toThrow(DOMException);
+		expect(() => clone(Symbol('a'))).toThrow(DOMException);
+		expect(() => clone(new WeakMap)).toThrow(DOMException);
+		expect(() => clone(new class Private extends WeakSet {})).toThrow(DOMException);
+		expect(() => clone(Promise.resolve())).toThrow(DOMException);
+		expect(thrown(() => clone(String))).toHaveProperty('name', 'DataCloneError');
 	});
 	test('validIdentifier(): Returns true for valid identifiers', () => {
 		expect(validIdentifier('a')).toBe(true);
@@ -40,15 +108,29 @@ describe('IndexedDB mock helpers', () => {
 		expect(validIdentifier(null)).toBe(false);
 		expect(validIdentifier(undefined)).toBe(false);
 	});
+	test('validName(): Returns true for any string', () => {
+		expect(validName('a')).toBe(true);
+		expect(validName('Users')).toBe(true);
+		expect(validName('my store')).toBe(true);
+		expect(validName('app:v2')).toBe(true);
+		expect(validName('')).toBe(true);
+	});
+	test('validName(): Returns false for anything else', () => {
+		expect(validName(123)).toBe(false);
+		expect(validName(null)).toBe(false);
+		expect(validName(undefined)).toBe(false);
+	});
 	test('validKeyPath(): Returns true for valid key paths', () => {
 		expect(validKeyPath('a')).toBe(true);
 		expect(validKeyPath('a-a')).toBe(true);
 		expect(validKeyPath('_a')).toBe(true);
 		expect(validKeyPath('a.a.a')).toBe(true);
+		expect(validKeyPath('')).toBe(true); // The value itself.
 	});
 	test('validKeyPath(): Returns false for invalid key paths', () => {
 		expect(validKeyPath('A')).toBe(false);
 		expect(validKeyPath('1')).toBe(false);
+		expect(validKeyPath('a.')).toBe(false);
 		expect(validKeyPath(123)).toBe(false);
 		expect(validKeyPath(null)).toBe(false);
 		expect(validKeyPath(undefined)).toBe(false);
@@ -79,40 +161,102 @@ describe('IndexedDB mock helpers', () => {
 		expect(validVersion(-Infinity)).toBe(false);
 		expect(validVersion(NaN)).toBe(false);
 	});
-	test('validKey(): Returns true for valid keys (number, string, or date)', () => {
+	test('validKey(): Returns true for valid keys (number, string, date, or array)', () => {
 		expect(validKey(1)).toBe(true);
 		expect(validKey(1.5)).toBe(true);
 		expect(validKey(0)).toBe(true);
 		expect(validKey(-1)).toBe(true);
+		expect(validKey(Infinity)).toBe(true);
+		expect(validKey(-Infinity)).toBe(true);
 		expect(validKey('a')).toBe(true);
 		expect(validKey('A')).toBe(true);
 		expect(validKey('€')).toBe(true);
 		expect(validKey(new Date)).toBe(true);
+		expect(validKey(['a'])).toBe(true);
+		expect(validKey([])).toBe(true);
+		expect(validKey([1, 'a', new Date, [2, 'b']])).toBe(true);
+		expect(validKey(new ArrayBuffer(4))).toBe(true);
+		expect(validKey(new Uint8Array([1, 2]))).toBe(true);
+		expect(validKey(new DataView(new ArrayBuffer(2)))).toBe(true);
+		expect(validKey([1, new Float64Array(2)])).toBe(true);
 	});
 	test('validKey(): Returns false for invalid keys', () => {
-		expect(validKey(Infinity)).toBe(false);
-		expect(validKey(-Infinity)).toBe(false);
 		expect(validKey(NaN)).toBe(false);
+		expect(validKey(new Date(NaN))).toBe(false);
+		expect(validKey([new Date('abc')])).toBe(false);
 		expect(validKey(null)).toBe(false);
 		expect(validKey(undefined)).toBe(false);
-		expect(validKey(['a'])).toBe(false);
+		expect(validKey([1, null])).toBe(false);
+		expect(validKey([1, [undefined]])).toBe(false);
+		expect(validKey([1, , 3])).toBe(false); // eslint-disable-line no-sparse-arrays
+		const cyclic = [1];
+		cyclic.push(cyclic);
+		expect(validKey(cyclic)).toBe(false);
+	});
+	test('IDBFactory.cmp(): Compares keys of the same type', () => {
+		expect(IDBFactory.cmp(1, 1)).toBe(0);
+		expect(IDBFactory.cmp(1, 2)).toBe(-1);
+		expect(IDBFactory.cmp(-Infinity, -9999)).toBe(-1);
+		expect(IDBFactory.cmp('b', 'a')).toBe(1);
+		expect(IDBFactory.cmp('B', 'a')).toBe(-1); // Compared by code unit.
+		expect(IDBFactory.cmp(new Date(2000, 0, 1), new Date(2000, 0, 1))).toBe(0);
+		expect(IDBFactory.cmp(new Date(2000, 0, 1), new Date(2001, 0, 1))).toBe(-1);
+	});
+	test('IDBFactory.cmp(): Compares binary keys byte by byte', () => {
+		expect(IDBFactory.cmp(new Uint8Array([1, 2]).buffer, new Uint8Array([1, 2]))).toBe(0);
+		expect(IDBFactory.cmp(new Uint8Array([1, 2]), new Uint8Array([1, 3]))).toBe(-1);
+		expect(IDBFactory.cmp(new Uint8Array([255]), new Uint8Array([1, 0]))).toBe(1); // Bytes are unsigned.
+		expect(IDBFactory.cmp(new Int8Array([-1]), new Uint8Array([1]))).toBe(1);
+		expect(IDBFactory.cmp(new Uint8Array([1]), new Uint8Array([1, 0]))).toBe(-1);
+		expect(IDBFactory.cmp(new Uint8Array([9, 1, 2, 9]).subarray(1, 3), new Uint8Array([1, 2]))).toBe(0); // Views only compare their own bytes.
+		expect(IDBFactory.cmp(new DataView(new ArrayBuffer(0)), new ArrayBuffer(0))).toBe(0);
+	});
+	test('IDBFactory.cmp(): Compares keys of different types by type', () => {
+		expect(IDBFactory.cmp(Infinity, new Date(0))).toBe(-1); // number < date
+		expect(IDBFactory.cmp(new Date(9999, 0, 1), '')).toBe(-1); // date < string
+		expect(IDBFactory.cmp('zzz', new ArrayBuffer(0))).toBe(-1); // string < binary
+		expect(IDBFactory.cmp(new Uint8Array([255]), [])).toBe(-1); // binary < array
+		expect(IDBFactory.cmp('zzz', [])).toBe(-1); // string < array
+		expect(IDBFactory.cmp('1', 2)).toBe(1);
+	});
+	test('IDBFactory.cmp(): Throws DataError for invalid keys', () => {
+		expect(() => IDBFactory.cmp(1, null)).toThrow(DOMException);
+		expect(() => IDBFactory.cmp(undefined, 1)).toThrow(DOMException);
+		expect(() => IDBFactory.cmp(NaN, 1)).toThrow(DOMException);
+		expect(() => IDBFactory.cmp(new Date(NaN), 1)).toThrow(DOMException);
+		expect(() => IDBFactory.cmp([1, {}], [1])).toThrow(DOMException);
+		expect(() => IDBFactory.cmp({}, 1)).toThrow(DOMException);
+		expect(thrown(() => IDBFactory.cmp({}, 1))).toHaveProperty('name', 'DataError');
+	});
+	test('IDBFactory.cmp(): Compares array keys item by item', () => {
+		expect(IDBFactory.cmp([1, 2], [1, 2])).toBe(0);
+		expect(IDBFactory.cmp([1, 2], [1, 3])).toBe(-1);
+		expect(IDBFactory.cmp([1, 'b'], [1, 'a'])).toBe(1);
+		expect(IDBFactory.cmp([1], [1, 2])).toBe(-1);
+		expect(IDBFactory.cmp([1, [2, 3]], [1, [2]])).toBe(1);
+		expect(IDBFactory.cmp(['z'], 'z')).toBe(1); // Arrays are higher than other keys.
+		expect(IDBFactory.cmp(9999, [])).toBe(-1);
 	});
-	test('validKeyRange(): Returns true for valid arrays of keys and key ranges', () => {
-		expect(validKeyRange(['a'])).toBe(true);
-		expect(validKeyRange([1])).toBe(true);
+	test('validKeyRange(): Returns true for key ranges', () => {
 		expect(validKeyRange(IDBKeyRange.bound(10, 20))).toBe(true);
+		expect(validKeyRange(IDBKeyRange.only([1, 'a']))).toBe(true);
 	});
-	test('validKeyRange(): Returns false for invalid arrays of keys and key ranges', () => {
+	test('validKeyRange(): Returns false for anything else (including arrays, which are keys)', () => {
+		expect(validKeyRange(['a'])).toBe(false);
 		expect(validKeyRange([undefined])).toBe(false);
 		expect(validKeyRange([null])).toBe(false);
 		expect(validKeyRange([])).toBe(false);
 	});
-	test('keyInRange(): Returns true for keys that are in a key range', () => {
-		expect(keyInRange('a', ['a'])).toBe(true);
+	test('keyInRange(): Returns true for keys that are in a key range or equal to a key', () => {
+		expect(keyInRange('a', 'a')).toBe(true);
+		expect(keyInRange(['a'], ['a'])).toBe(true);
+		expect(keyInRange(new Date(2000, 0, 1), new Date(2000, 0, 1))).toBe(true);
 		expect(keyInRange('a', IDBKeyRange.only('a'))).toBe(true);
 	});
-	test('keyInRange(): Returns false for keys that are not in a key range', () => {
-		expect(keyInRange('a', ['b'])).toBe(false);
+	test('keyInRange(): Returns false for keys that are not in a key range or equal to a key', () => {
+		expect(keyInRange('a', ['a'])).toBe(false); // Arrays are array keys, not lists of keys.
+		expect(keyInRange('a', 'b')).toBe(false);
+		expect(keyInRange(1, '1')).toBe(false);
 		expect(keyInRange('a', IDBKeyRange.only('b'))).toBe(false);
 	});
 });
\ No newline at end of file
@@ -1,4 +1,4 @@
-const { IDBFactory, IDBRequest, IDBCursorWithValue, IDBKeyRange, reset } = require('../lib/mock');
+const { IDBFactory, IDBRequest, IDBCursor, IDBCursorWithValue, IDBKeyRange, DOMException, reset } = require('../lib/mock');
 
 // Vars.
 const indexedDB = new IDBFactory;
@@ -276,20 +276,19 @@ describe('IndexedDB mock index', () => {
 		expect(success).toHaveBeenCalledTimes(20+1);
 
 	});
-	test('openCursor(): Iterate through an array of records', () => {
+	test('openCursor(): Array query matches an array key (not a list of keys)', () => {
 
 		// Vars.
-		const records = [511, 515, 540, 'abc', 19999, 2000]; // Three existant, three non-existant.
+		const key = [511, 515];
 
 		// Handlers.
 		const success = jest.fn(e => {
 			if (e.target.result)
 			{
-				const record = records.shift();
 				expect(e.target.result).toBeInstanceOf(IDBCursorWithValue);
-				expect(e.target.result.key).toEqual(record);
-				expect(e.target.result.primaryKey).toEqual(record-500);
-				expect(e.target.result.value).toEqual({indexed:record});
+				expect(e.target.result.key).toEqual(key);
+				expect(e.target.result.primaryKey).toEqual(100);
+				expect(e.target.result.value).toEqual({indexed:key});
 				e.target.result.continue();
 			}
 		});
@@ -307,9 +306,10 @@ describe('IndexedDB mock index', () => {
 			// Put.
 			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
 			for (let i = 1; i <= 99; i++) puts.put({indexed:i+500}, i); // Outline key.
+			puts.put({indexed:[511, 515]}, 100); // Array indexed key.
 
 			// Cursor.
-			const request = e.target.result.transaction('store', 'readonly').objectStore('store').index('index').openCursor(records);
+			const request = e.target.result.transaction('store', 'readonly').objectStore('store').index('index').openCursor(key);
 			expect(request).toBeInstanceOf(IDBRequest);
 			request.onsuccess = success;
 
@@ -319,7 +319,7 @@ describe('IndexedDB mock index', () => {
 		jest.runAllTimers();
 		expect(request.onupgradeneeded).toHaveBeenCalled();
 		expect(request.onsuccess).toHaveBeenCalled();
-		expect(success).toHaveBeenCalledTimes(3 + 1);
+		expect(success).toHaveBeenCalledTimes(1 + 1);
 
 	});
 	test('openCursor(): advance() can skip multiple entries', () => {
@@ -462,6 +462,51 @@ describe('IndexedDB mock index', () => {
 		expect(success1).toHaveBeenCalled();
 		expect(success2).toHaveBeenCalled();
 
+	});
+	test('openKeyCursor(): Iterate through index keys and primary keys without values', () => {
+
+		// Handlers.
+		const keys = [];
+		const success = jest.fn(e => {
+			if (e.target.result)
+			{
+				expect(e.target.result).toBeInstanceOf(IDBCursor);
+				expect(e.target.result.value).toBe(undefined);
+				keys.push([e.target.result.key, e.target.result.primaryKey]);
+				e.target.result.continue();
+			}
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'indexed');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({indexed:'c'}, 1); // Outline key.
+			puts.put({indexed:'a'}, 2);
+			puts.put({indexed:'a'}, 3);
+
+			// Get.
+			const request = e.target.result.transaction('store', 'readonly').objectStore('store').index('index').openKeyCursor(null, 'nextunique');
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = success;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalledTimes(2 + 1);
+		expect(keys).toEqual([['a', 2], ['c', 1]]);
+
 	});
 	test('count(): Count zero records', () => {
 
@@ -599,14 +644,11 @@ describe('IndexedDB mock index', () => {
 		expect(success).toHaveBeenCalled();
 
 	});
-	test('count(): Count an array of records', () => {
-
-		// Vars.
-		const records = [512, 549, 562, 2000, 9999, 'abc']; // Three existant, three non-existant.
+	test('count(): Count an array key (not a list of keys)', () => {
 
 		// Handlers.
 		const success = jest.fn(e => {
-			expect(e.target.result).toBe(3); // Ranges include top/bottom number.
+			expect(e.target.result).toBe(1); // Only the array key matches.
 		});
 
 		// Open a connection.
@@ -622,9 +664,10 @@ describe('IndexedDB mock index', () => {
 			// Put.
 			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
 			for (let i = 1; i <= 99; i++) puts.put({indexed:i+500}, i); // Outline key.
+			puts.put({indexed:[512, 549]}, 100); // Array indexed key.
 
 			// Count.
-			const request = e.target.result.transaction('store', 'readonly').objectStore('store').index('index').count(records);
+			const request = e.target.result.transaction('store', 'readonly').objectStore('store').index('index').count([512, 549]);
 			expect(request).toBeInstanceOf(IDBRequest);
 			request.onsuccess = success;
 
@@ -637,6 +680,740 @@ describe('IndexedDB mock index', () => {
 		expect(success).toHaveBeenCalled();
 
 	});
-	// @todo test('Index unique constraints are respected', () => {});
-	// @todo test('Indexes with array (multiple) key paths work correctly', () => {});
+	test('getAll(): Get records in index order, optionally limited', () => {
+
+		// Handlers.
+		const all = jest.fn(e => {
+			expect(e.target.result).toEqual([{indexed:'a'},{indexed:'b'},{indexed:'c'}]);
+		});
+		const limited = jest.fn(e => {
+			expect(e.target.result).toEqual([{indexed:'b'}]);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'indexed');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({indexed:'c'}, 1); // Outline key.
+			puts.put({indexed:'a'}, 2);
+			puts.put({indexed:'b'}, 3);
+
+			// Get all.
+			const index = e.target.result.transaction('store', 'readonly').objectStore('store').index('index');
+			const request = index.getAll();
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = all;
+			index.getAll(IDBKeyRange.lowerBound('b'), 1).onsuccess = limited;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(all).toHaveBeenCalled();
+		expect(limited).toHaveBeenCalled();
+
+	});
+	test('getAllKeys() and getKey(): Get primary keys in index order', () => {
+
+		// Handlers.
+		const keys = jest.fn(e => {
+			expect(e.target.result).toEqual([2, 3, 1]);
+		});
+		const key = jest.fn(e => {
+			expect(e.target.result).toBe(3);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'indexed');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({indexed:'c'}, 1); // Outline key.
+			puts.put({indexed:'a'}, 2);
+			puts.put({indexed:'b'}, 3);
+
+			// Get keys.
+			const index = e.target.result.transaction('store', 'readonly').objectStore('store').index('index');
+			const request = index.getAllKeys();
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = keys;
+			index.getKey('b').onsuccess = key;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(keys).toHaveBeenCalled();
+		expect(key).toHaveBeenCalled();
+
+	});
+	test('getAllRecords(): Get unique index keys in reverse order', () => {
+
+		// Handlers.
+		const records = jest.fn(e => {
+			expect(e.target.result.map(r => [r.key, r.primaryKey, r.value])).toEqual([['c', 1, {indexed:'c'}], ['a', 2, {indexed:'a'}]]);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'indexed');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({indexed:'c'}, 1); // Outline key.
+			puts.put({indexed:'a'}, 2);
+			puts.put({indexed:'a'}, 3);
+
+			// Get records.
+			const request = e.target.result.transaction('store', 'readonly').objectStore('store').index('index').getAllRecords({ direction: 'prevunique' });
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = records;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(records).toHaveBeenCalled();
+
+	});
+	test('put(): Unique index rejects records with the same key', () => {
+
+		// Handlers.
+		const success = jest.fn();
+		const error = jest.fn(e => {
+			expect(e.target.error).toBeInstanceOf(DOMException);
+			expect(e.target.error.name).toBe('ConstraintError');
+		});
+		const abort = jest.fn();
+		const count = jest.fn(e => {
+			expect(e.target.result).toBe(2); // Only the first transaction committed.
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and unique index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'indexed', { unique: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({indexed:501}, 1);
+			puts.put({indexed:502}, 2);
+			puts.put({indexed:502}, 2).onsuccess = success; // Same record, so doesn't clash.
+
+			// Put a clashing record.
+			const transaction = e.target.result.transaction('store', 'readwrite');
+			transaction.onabort = abort;
+			const request = transaction.objectStore('store').put({indexed:501}, 3);
+			request.onerror = error;
+
+			// Count.
+			e.target.result.transaction('store', 'readonly').objectStore('store').count().onsuccess = count;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalled();
+		expect(error).toHaveBeenCalled();
+		expect(abort).toHaveBeenCalled();
+		expect(count).toHaveBeenCalled();
+
+	});
+	test('put(): Unique index allows keys freed by changed, deleted and cleared records', () => {
+
+		// Handlers.
+		const success = jest.fn();
+		const error = jest.fn(e => {
+			expect(e.target.error.name).toBe('ConstraintError');
+			e.preventDefault(); // Don't abort the transaction.
+		});
+		const complete = jest.fn();
+		const count = jest.fn(e => {
+			expect(e.target.result).toBe(1);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and unique index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'indexed', { unique: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const transaction = e.target.result.transaction('store', 'readwrite');
+			transaction.oncomplete = complete;
+			const store = transaction.objectStore('store');
+			store.put({indexed:501}, 1);
+			store.put({indexed:502}, 2);
+
+			// Changed record frees its old key.
+			store.put({indexed:503}, 1);
+			store.put({indexed:501}, 3).onsuccess = success;
+
+			// Deleted record frees its key.
+			store.delete(2);
+			store.put({indexed:502}, 4).onsuccess = success;
+
+			// Unchanged record still has its key.
+			store.put({indexed:503}, 5).onerror = error;
+
+			// Cleared records free every key.
+			store.clear();
+			store.put({indexed:503}, 6).onsuccess = success;
+			store.count().onsuccess = count;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalledTimes(3);
+		expect(error).toHaveBeenCalledTimes(1);
+		expect(count).toHaveBeenCalled();
+		expect(complete).toHaveBeenCalled();
+
+	});
+	test('openCursor(): Unique index rejects cursor updates with the same key', () => {
+
+		// Handlers.
+		const error = jest.fn(e => {
+			expect(e.target.error.name).toBe('ConstraintError');
+		});
+		const abort = jest.fn();
+		const success = jest.fn(e => {
+			e.target.result.update({indexed:502}).onerror = error;
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and unique index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'indexed', { unique: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({indexed:501}, 1);
+			puts.put({indexed:502}, 2);
+
+			// Cursor.
+			const transaction = e.target.result.transaction('store', 'readwrite');
+			transaction.onabort = abort;
+			transaction.objectStore('store').openCursor(1).onsuccess = success;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalledTimes(1);
+		expect(error).toHaveBeenCalled();
+		expect(abort).toHaveBeenCalled();
+
+	});
+	test('openCursor(): Unique index rejects cursor updates with the same key (inline key)', () => {
+
+		// Handlers.
+		const error = jest.fn(e => {
+			expect(e.target.error.name).toBe('ConstraintError');
+		});
+		const abort = jest.fn();
+		const success = jest.fn(e => {
+			const cursor = e.target.result;
+			expect(() => cursor.update({id:2,email:'c@x.com'})).toThrow(DOMException); // Key doesn't match the cursor.
+			cursor.update({id:1,email:'b@x.com'}).onerror = error;
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and unique index.
+			e.target.result.createObjectStore('store', { keyPath: 'id', autoIncrement: false }).createIndex('email', 'email', { unique: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({id:1,email:'a@x.com'});
+			puts.put({id:2,email:'b@x.com'});
+
+			// Cursor.
+			const transaction = e.target.result.transaction('store', 'readwrite');
+			transaction.onabort = abort;
+			transaction.objectStore('store').openCursor(1).onsuccess = success;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalledTimes(1);
+		expect(error).toHaveBeenCalled();
+		expect(abort).toHaveBeenCalled();
+
+	});
+	test('createIndex(): Unique index aborts the upgrade if existing records have the same key', () => {
+
+		// Handlers.
+		const abort = jest.fn();
+		const upgradeneeded = jest.fn(e => {
+
+			// Create unique index.
+			e.target.transaction.onabort = abort;
+			e.target.transaction.objectStore('store').createIndex('index', 'indexed', { unique: true });
+
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put two records with the same indexed key.
+			const transaction = e.target.result.transaction('store', 'readwrite');
+			transaction.objectStore('store').put({indexed:501}, 1);
+			transaction.objectStore('store').put({indexed:501}, 2);
+			transaction.oncomplete = () => {
+
+				// Close the connection and upgrade the database.
+				e.target.result.close();
+				indexedDB.open('testing', 2).onupgradeneeded = upgradeneeded;
+
+			};
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(upgradeneeded).toHaveBeenCalled();
+		expect(abort).toHaveBeenCalled();
+
+	});
+	test('name: Rename an index during an upgrade (reverted if the upgrade is aborted)', () => {
+
+		// Handlers.
+		let index;
+		const get = jest.fn(e => {
+			expect(e.target.result).toEqual({indexed:501});
+		});
+		const abort = jest.fn(() => {
+			expect(index.name).toBe('renamed');
+		});
+		const upgradeneeded2 = jest.fn(e => {
+
+			// Rename index.
+			const store = e.target.transaction.objectStore('store');
+			store.createIndex('other', 'other');
+			index = store.index('index');
+			expect(() => { index.name = 'other'; }).toThrow(DOMException);
+			index.name = 'renamed';
+			expect(index.name).toBe('renamed');
+			expect(store.indexNames).toEqual(['other', 'renamed']);
+
+		});
+		const success2 = jest.fn(e => {
+
+			// Get from renamed index.
+			const transaction = e.target.result.transaction('store', 'readonly');
+			transaction.objectStore('store').index('renamed').get(501).onsuccess = get;
+			transaction.oncomplete = () => {
+
+				// Close the connection and upgrade again, but abort.
+				e.target.result.close();
+				indexedDB.open('testing', 3).onupgradeneeded = upgradeneeded3;
+
+			};
+
+		});
+		const upgradeneeded3 = jest.fn(e => {
+
+			// Rename index and abort.
+			index = e.target.transaction.objectStore('store').index('renamed');
+			index.name = 'again';
+			e.target.transaction.onabort = abort;
+			e.target.transaction.abort();
+
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'indexed');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const transaction = e.target.result.transaction('store', 'readwrite');
+			transaction.objectStore('store').put({indexed:501}, 1);
+			expect(() => { transaction.objectStore('store').index('index').name = 'renamed'; }).toThrow(DOMException);
+			transaction.oncomplete = () => {
+
+				// Close the connection and upgrade the database.
+				e.target.result.close();
+				const request = indexedDB.open('testing', 2);
+				request.onupgradeneeded = upgradeneeded2;
+				request.onsuccess = success2;
+
+			};
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(upgradeneeded2).toHaveBeenCalled();
+		expect(success2).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		expect(upgradeneeded3).toHaveBeenCalled();
+		expect(abort).toHaveBeenCalled();
+
+	});
+	test('get(): multiEntry index has a key for each array element', () => {
+
+		// Handlers.
+		const get = jest.fn(e => {
+			expect(e.target.result).toEqual({tags:['a','b']});
+		});
+		const countAll = jest.fn(e => {
+			expect(e.target.result).toBe(6); // One for each distinct valid tag in each record.
+		});
+		const countOne = jest.fn(e => {
+			expect(e.target.result).toBe(2);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'tags', { multiEntry: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({tags:['a','b']}, 1);
+			puts.put({tags:['b','c','b']}, 2); // Duplicate element.
+			puts.put({tags:'c'}, 3); // Not an array.
+			puts.put({tags:['a',null]}, 4); // Invalid element.
+			puts.put({tags:[]}, 5); // Empty array.
+
+			// Get and count.
+			const index = e.target.result.transaction('store', 'readonly').objectStore('store').index('index');
+			index.get('b').onsuccess = get;
+			index.count().onsuccess = countAll;
+			index.count('c').onsuccess = countOne;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		expect(countAll).toHaveBeenCalled();
+		expect(countOne).toHaveBeenCalled();
+
+	});
+	test('openCursor(): multiEntry index iterates in every direction', () => {
+
+		// Vars.
+		const expected = {
+			next: [['a',1], ['a',4], ['b',1], ['b',2], ['c',2], ['c',3]],
+			nextunique: [['a',1], ['b',1], ['c',2]],
+			prev: [['c',3], ['c',2], ['b',2], ['b',1], ['a',4], ['a',1]],
+			prevunique: [['c',2], ['b',1], ['a',1]], // Lowest primary key for each key.
+		};
+		const found = { next: [], nextunique: [], prev: [], prevunique: [] };
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'tags', { multiEntry: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({tags:['a','b']}, 1);
+			puts.put({tags:['b','c','b']}, 2);
+			puts.put({tags:'c'}, 3);
+			puts.put({tags:['a',null]}, 4);
+
+			// Cursor in each direction.
+			const index = e.target.result.transaction('store', 'readonly').objectStore('store').index('index');
+			for (const direction in found) {
+				index.openCursor(undefined, direction).onsuccess = e => {
+					if (e.target.result)
+					{
+						found[direction].push([e.target.result.key, e.target.result.primaryKey]);
+						e.target.result.continue();
+					}
+				};
+			}
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(found).toEqual(expected);
+
+	});
+	test('put(): Unique multiEntry index rejects records sharing any element', () => {
+
+		// Handlers.
+		const success = jest.fn();
+		const error = jest.fn(e => {
+			expect(e.target.error.name).toBe('ConstraintError');
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', 'tags', { unique: true, multiEntry: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({tags:['a','b','a']}, 1).onsuccess = success; // Duplicates within one record are fine.
+			puts.put({tags:['c','b']}, 2).onerror = error;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalled();
+		expect(error).toHaveBeenCalled();
+
+	});
+	test('openCursor(): Index with array key path iterates through a range of array keys', () => {
+
+		// Vars.
+		const day = d => new Date(2020, 0, d);
+		const expected = [[[1, day(2)], 3], [[1, day(5)], 1], [[1, day(9)], 4]];
+		const found = [];
+
+		// Handlers.
+		const success = jest.fn(e => {
+			if (e.target.result)
+			{
+				found.push([e.target.result.key, e.target.result.primaryKey]);
+				e.target.result.continue();
+			}
+		});
+		const count = jest.fn(e => {
+			expect(e.target.result).toBe(5); // Record without createdAt isn't in the index.
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('index', ['userId', 'createdAt']);
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({userId:1,createdAt:day(5)}, 1);
+			puts.put({userId:2,createdAt:day(3)}, 2);
+			puts.put({userId:1,createdAt:day(2)}, 3);
+			puts.put({userId:1,createdAt:day(9)}, 4);
+			puts.put({userId:1,createdAt:day(20)}, 5);
+			puts.put({userId:1}, 6);
+
+			// Cursor.
+			const index = e.target.result.transaction('store', 'readonly').objectStore('store').index('index');
+			expect(index.keyPath).toEqual(['userId', 'createdAt']);
+			index.openCursor(IDBKeyRange.bound([1, day(1)], [1, day(10)])).onsuccess = success;
+			index.count().onsuccess = count;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalledTimes(3 + 1);
+		expect(count).toHaveBeenCalled();
+		expect(found).toEqual(expected);
+
+	});
+	test('get(): Index with dotted key paths and special properties', () => {
+
+		// Handlers.
+		const updated = jest.fn(e => {
+			expect(e.target.result).toEqual({meta:{updatedAt:new Date(2020, 0, 2)},tags:['a'],name:'ab'});
+		});
+		const tags = jest.fn(e => {
+			expect(e.target.result).toBe(2); // Records with two tags.
+		});
+		const name = jest.fn(e => {
+			expect(e.target.result).toEqual({meta:{updatedAt:new Date(2020, 0, 1)},tags:['a','b'],name:'abc'});
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and indexes.
+			const store = e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: true });
+			store.createIndex('updated', 'meta.updatedAt');
+			store.createIndex('tags', 'tags.length');
+			store.createIndex('name', 'name.length');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({meta:{updatedAt:new Date(2020, 0, 1)},tags:['a','b'],name:'abc'});
+			puts.put({meta:{updatedAt:new Date(2020, 0, 2)},tags:['a'],name:'ab'});
+			puts.put({meta:{},tags:['b','c'],name:'a'});
+
+			// Get and count.
+			const store = e.target.result.transaction('store', 'readonly').objectStore('store');
+			store.index('updated').get(IDBKeyRange.lowerBound(new Date(2020, 0, 2))).onsuccess = updated;
+			store.index('tags').count(2).onsuccess = tags;
+			store.index('name').get(3).onsuccess = name;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(updated).toHaveBeenCalled();
+		expect(tags).toHaveBeenCalled();
+		expect(name).toHaveBeenCalled();
+
+	});
+	test('get(): Index with an empty key path uses the value as the key', () => {
+
+		// Handlers.
+		const get = jest.fn(e => {
+			expect(e.target.result).toBe('b');
+		});
+		const keys = jest.fn(e => {
+			expect(e.target.result).toEqual([2, 3, 1]);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('byValue', '');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put('c', 1);
+			store.put('a', 2);
+			store.put('b', 3);
+			store.put({a:1}, 4); // Not a valid key, so not in the index.
+
+			// Get.
+			store.index('byValue').get('b').onsuccess = get;
+			store.index('byValue').getAllKeys().onsuccess = keys;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		expect(keys).toHaveBeenCalled();
+
+	});
+	test('createIndex(): Rejects multiEntry with an array key path', () => {
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create store and index.
+			const store = e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+			expect(() => store.createIndex('index', ['a', 'b'], { multiEntry: true })).toThrow(DOMException);
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+
+	});
 });
\ No newline at end of file
@@ -96,4 +96,43 @@ describe('IndexedDB mock key range', () => {
 		expect(IDBKeyRange.bound('b', 'y', true, true).includes('y')).toBe(false);
 		expect(IDBKeyRange.bound('b', 'y', true, true).includes('y')).toBe(false);
 	});
+	test('IDBKeyRange.includes(): returns correct true/false for array key ranges', () => {
+		expect(IDBKeyRange.bound([1, 'a'], [1, 'z']).includes([1, 'm'])).toBe(true);
+		expect(IDBKeyRange.bound([1, 'a'], [1, 'z']).includes([1, 'a'])).toBe(true);
+		expect(IDBKeyRange.bound([1, 'a'], [1, 'z']).includes([1, 'zz'])).toBe(false);
+		expect(IDBKeyRange.bound([1, 'a'], [1, 'z']).includes([2, 'm'])).toBe(false);
+		expect(IDBKeyRange.bound([1, 'a'], [1, 'z']).includes([1])).toBe(false);
+		expect(IDBKeyRange.bound([1, 'a'], [1, 'z'], true).includes([1, 'a'])).toBe(false);
+		expect(IDBKeyRange.lowerBound([1]).includes([1, 'a'])).toBe(true);
+	});
+	test('IDBKeyRange.includes(): returns correct true/false for binary key ranges', () => {
+		const bytes = (...values) => new Uint8Array(values);
+		expect(IDBKeyRange.only(bytes(1, 2)).includes(bytes(1, 2).buffer)).toBe(true);
+		expect(IDBKeyRange.only(bytes(1, 2)).includes(bytes(1, 2, 0))).toBe(false);
+		expect(IDBKeyRange.bound(bytes(1), bytes(2)).includes(bytes(1, 255))).toBe(true);
+		expect(IDBKeyRange.bound(bytes(1), bytes(2), false, true).includes(bytes(2))).toBe(false);
+		expect(IDBKeyRange.lowerBound(bytes(0)).includes('zzz')).toBe(false); // Strings are lower than binary keys.
+		expect(IDBKeyRange.upperBound(bytes(0)).includes('zzz')).toBe(true);
+	});
+	test('IDBKeyRange: copies binary bounds into ArrayBuffers', () => {
+		const view = new Uint8Array([1, 2]);
+		const range = IDBKeyRange.only(view);
+		view[0] = 9;
+		expect(range.lower).toBeInstanceOf(ArrayBuffer);
+		expect(range.includes(new Uint8Array([1, 2]))).toBe(true);
+	});
+	test('IDBKeyRange: lower and upper return copies of binary bounds', () => {
+		const range = IDBKeyRange.bound(new Uint8Array([1, 2]), new Uint8Array([3, 4]));
+		new Uint8Array(range.lower)[0] = 9;
+		new Uint8Array(range.upper)[0] = 0;
+		expect(range.lower).not.toBe(range.lower);
+		expect(Array.from(new Uint8Array(range.lower))).toEqual([1, 2]);
+		expect(Array.from(new Uint8Array(range.upper))).toEqual([3, 4]);
+		expect(range.includes(new Uint8Array([2]))).toBe(true);
+		expect(IDBKeyRange.upperBound(1).lower).toBe(undefined);
+	});
+	test('IDBKeyRange.bound(): rejects array bounds in the wrong order', () => {
+		expect(() => IDBKeyRange.bound([2, 'a'], [1, 'z'])).toThrow(DOMException);
+		expect(() => IDBKeyRange.bound([1, 'a', 'a'], [1, 'a'])).toThrow(DOMException);
+	});
 });
\ No newline at end of file
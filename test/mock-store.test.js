@@ -1,4 +1,4 @@
-const { IDBFactory, IDBRequest, IDBCursorWithValue, IDBKeyRange, DOMException, reset } = require('../lib/mock');
+const { IDBFactory, IDBRequest, IDBCursor, IDBCursorWithValue, IDBRecord, IDBKeyRange, DOMException, Blob, File, reset } = require('../lib/mock');
 
 // Vars.
 const indexedDB = new IDBFactory;
@@ -136,6 +136,87 @@ describe('IndexedDB mock object store', () => {
 		expect(request.onsuccess).toHaveBeenCalled();
 		expect(success).toHaveBeenCalled();
 
+	});
+	test('put(): Explicit numeric keys move the key generator on', () => {
+
+		// Handlers.
+		const keys = jest.fn(e => {
+			expect(e.target.result).toEqual([1, 2, 5.5, 6, 7, 'a']);
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: 'id', autoIncrement: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put({}); // 1
+			store.put({id:5.5});
+			store.put({id:2}); // Lower keys don't move the generator back.
+			store.put({id:'a'}); // Non-numeric keys don't affect the generator.
+			store.put({}); // 6
+			store.put({}); // 7
+			store.getAllKeys().onsuccess = keys;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(keys).toHaveBeenCalled();
+
+	});
+	test('put(): Key generator fails after 2^53 and is rolled back when a transaction aborts', () => {
+
+		// Handlers.
+		const error = jest.fn(e => {
+			expect(e.target.error.name).toBe('ConstraintError');
+		});
+		const generated = jest.fn(e => {
+			expect(e.target.result).toBe(2);
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Generate one key.
+			e.target.result.transaction('store', 'readwrite').objectStore('store').put('a');
+
+			// Move the generator to its maximum, then fail to generate a key (which aborts the transaction).
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put('b', Math.pow(2, 53));
+			store.put('c').onerror = error;
+
+			// The generator was rolled back with the aborted transaction.
+			e.target.result.transaction('store', 'readwrite').objectStore('store').put('d').onsuccess = generated;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(error).toHaveBeenCalled();
+		expect(generated).toHaveBeenCalled();
+
 	});
 	test('add(): Put record into object store (outline key)', () => {
 
@@ -260,6 +341,117 @@ describe('IndexedDB mock object store', () => {
 		expect(request.onsuccess).toHaveBeenCalled();
 		expect(success).toHaveBeenCalled();
 
+	});
+	test('add(): Errors fire on the request, bubble to the transaction and database, and abort the transaction', () => {
+
+		// Handlers.
+		const order = [];
+		const requestError = jest.fn(e => {
+			expect(e.target.error.name).toBe('ConstraintError');
+			order.push('request');
+		});
+		const transactionError = jest.fn(e => {
+			expect(e.target.error.name).toBe('ConstraintError'); // Target is the request.
+			order.push('transaction');
+		});
+		const databaseError = jest.fn(() => {
+			order.push('database');
+		});
+		const abort = jest.fn(e => {
+			expect(e.target.error).toBeInstanceOf(DOMException);
+			expect(e.target.error.name).toBe('ConstraintError');
+		});
+		const count = jest.fn(e => {
+			expect(e.target.result).toBe(1);
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const db = e.target.result;
+			db.transaction('store', 'readwrite').objectStore('store').put('a', 1);
+
+			// Add existing key.
+			const transaction = db.transaction('store', 'readwrite');
+			const store = transaction.objectStore('store');
+			store.put('b', 2);
+			store.add('c', 1).onerror = requestError;
+			transaction.onerror = transactionError;
+			transaction.onabort = abort;
+			db.onerror = databaseError;
+
+			// Count (the aborted transaction's put was discarded).
+			db.transaction('store', 'readonly').objectStore('store').count().onsuccess = count;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(order).toEqual(['request', 'transaction', 'database']);
+		expect(abort).toHaveBeenCalled();
+		expect(count).toHaveBeenCalled();
+
+	});
+	test('add(): Calling preventDefault() on an error event stops the transaction aborting', () => {
+
+		// Handlers.
+		const error = jest.fn(e => {
+			expect(e.target.error.name).toBe('ConstraintError');
+			e.preventDefault();
+		});
+		const complete = jest.fn(e => {
+			expect(e.target.error).toBe(null);
+		});
+		const count = jest.fn(e => {
+			expect(e.target.result).toBe(3);
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Add existing key, but keep going.
+			const transaction = e.target.result.transaction('store', 'readwrite');
+			const store = transaction.objectStore('store');
+			store.add('a', 1);
+			store.add('b', 1).onerror = error;
+			store.add('c', 2);
+			store.add('d', 3);
+			transaction.oncomplete = complete;
+
+			// Count.
+			e.target.result.transaction('store', 'readonly').objectStore('store').count().onsuccess = count;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(error).toHaveBeenCalled();
+		expect(complete).toHaveBeenCalled();
+		expect(count).toHaveBeenCalled();
+
 	});
 	test('put(): Disallow primative values as records (inline key)', () => {
 
@@ -316,6 +508,443 @@ describe('IndexedDB mock object store', () => {
 		expect(request.onsuccess).toHaveBeenCalled();
 		expect(success).toHaveBeenCalled();
 
+	});
+	test('put(): Put records into object store (array inline key)', () => {
+
+		// Handlers.
+		const success = jest.fn(e => {
+			expect(e.target.result).toEqual([1, 'b']);
+		});
+		const error = jest.fn(e => {
+			expect(e.target.error.name).toBe('ConstraintError');
+		});
+		const cursor = jest.fn(e => {
+			expect(e.target.result.key).toEqual([1, 'b']);
+			expect(e.target.result.value).toEqual({userId:1,slug:'b',v:3}); // Overwritten by the second put.
+		});
+		const count = jest.fn(e => {
+			expect(e.target.result).toBe(3);
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			const store = e.target.result.createObjectStore('store', { keyPath: ['userId', 'slug'], autoIncrement: false });
+			expect(store.keyPath).toEqual(['userId', 'slug']);
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put({userId:1,slug:'a',v:1});
+			puts.put({userId:1,slug:'b',v:2}).onsuccess = success;
+			puts.put({userId:2,slug:'a',v:1});
+			puts.put({userId:1,slug:'b',v:3});
+			expect(() => puts.put({userId:1})).toThrow(DOMException); // Missing part of the key.
+
+			// Add existing key.
+			e.target.result.transaction('store', 'readwrite').objectStore('store').add({userId:1,slug:'a',v:4}).onerror = error;
+
+			// Cursor and count.
+			const store = e.target.result.transaction('store', 'readonly').objectStore('store');
+			store.openCursor(IDBKeyRange.only([1, 'b'])).onsuccess = cursor;
+			store.count().onsuccess = count;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalled();
+		expect(error).toHaveBeenCalled();
+		expect(cursor).toHaveBeenCalled();
+		expect(count).toHaveBeenCalled();
+
+	});
+	test('put(): Put records into object store (dotted inline key)', () => {
+
+		// Handlers.
+		const success = jest.fn(e => {
+			expect(e.target.result).toBe(5);
+		});
+		const get = jest.fn(e => {
+			expect(e.target.result).toEqual({profile:{id:5,name:'Dave'}});
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: 'profile.id', autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put({profile:{id:5,name:'Dave'}}).onsuccess = success;
+			expect(() => store.put({profile:{name:'Dave'}})).toThrow(DOMException); // Missing key.
+			expect(() => store.put({profile:'Dave'})).toThrow(DOMException); // Missing key.
+			expect(() => store.put({'profile.id':5})).toThrow(DOMException); // Not a nested key.
+
+			// Get.
+			e.target.result.transaction('store', 'readonly').objectStore('store').get(5).onsuccess = get;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+
+	});
+	test('put(): Put records into object store (generated dotted inline key)', () => {
+
+		// Handlers.
+		const get1 = jest.fn(e => {
+			expect(e.target.result).toEqual({a:1,meta:{id:1}}); // Missing object is created.
+		});
+		const get2 = jest.fn(e => {
+			expect(e.target.result).toEqual({a:2,meta:{b:2,id:2}}); // Existing object is used.
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: 'meta.id', autoIncrement: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put({a:1});
+			store.put({a:2,meta:{b:2}});
+			expect(() => store.put({a:3,meta:123})).toThrow(DOMException); // Parent isn't an object.
+
+			// Get.
+			const gets = e.target.result.transaction('store', 'readonly').objectStore('store');
+			gets.get(1).onsuccess = get1;
+			gets.get(2).onsuccess = get2;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get1).toHaveBeenCalled();
+		expect(get2).toHaveBeenCalled();
+
+	});
+	test('put(): Put primitive values into object store (string length inline key)', () => {
+
+		// Handlers.
+		const success = jest.fn(e => {
+			expect(e.target.result).toBe(3);
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: 'length', autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			e.target.result.transaction('store', 'readwrite').objectStore('store').put('abc').onsuccess = success;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalled();
+
+	});
+	test('put(): Put primitive values into object store (empty inline key, where the value is the key)', () => {
+
+		// Handlers.
+		const success = jest.fn(e => {
+			expect(e.target.result).toEqual(['a', 'b', 'c']);
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			const store = e.target.result.createObjectStore('tags', { keyPath: '', autoIncrement: false });
+			expect(store.keyPath).toBe('');
+			expect(() => e.target.result.createObjectStore('other', { keyPath: '', autoIncrement: true })).toThrow(DOMException);
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const store = e.target.result.transaction('tags', 'readwrite').objectStore('tags');
+			store.put('c');
+			store.put('a');
+			store.put('b');
+			store.put('a');
+			expect(() => store.put({a:1})).toThrow(DOMException);
+			expect(() => store.put('a', 'a')).toThrow(DOMException);
+			store.getAllKeys().onsuccess = success;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalled();
+
+	});
+	test('put(): Values are stored as structured clones', () => {
+
+		// Vars.
+		const date = new Date(2000, 0, 1);
+		const value = {date, map: new Map([['a', 1]]), nothing: undefined};
+
+		// Handlers.
+		const success = jest.fn(e => {
+			expect(e.target.result.date).toEqual(new Date(2000, 0, 1));
+			expect(e.target.result.date).not.toBe(date);
+			expect(e.target.result.map).toEqual(new Map([['a', 1]]));
+			expect('nothing' in e.target.result).toBe(true);
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put (and change the value afterwards).
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put(value, 1);
+			date.setFullYear(2010);
+			value.map.set('b', 2);
+			store.get(1).onsuccess = success;
+
+			// Values that can't be cloned.
+			expect(() => store.put({a: () => true}, 2)).toThrow(DOMException);
+			expect(() => store.put(new WeakMap, 2)).toThrow(DOMException);
+
+			// State is checked before the value is cloned.
+			expect(() => e.target.result.transaction('store', 'readonly').objectStore('store').put(() => true, 3)).toThrow('Transaction is read only');
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalled();
+
+	});
+	test('put(): Blobs and Files are stored as copies and indexed by their properties', () => {
+
+		// Vars.
+		const file = new File(['abc'], 'thumb.png', { type: 'image/png', lastModified: 946684800000 });
+
+		// Handlers.
+		const get = jest.fn(e => {
+			expect(e.target.result.file).toBeInstanceOf(File);
+			expect(e.target.result.file).not.toBe(file);
+			expect(e.target.result.file.size).toBe(3);
+			expect(e.target.result.file.type).toBe('image/png');
+			expect(e.target.result.file.name).toBe('thumb.png');
+			expect(e.target.result.file.lastModified).toBe(946684800000);
+			expect(e.target.result.blob).toBeInstanceOf(Blob);
+			expect(e.target.result.blob.size).toBe(5);
+		});
+		const size = jest.fn(e => {
+			expect(e.target.result).toEqual([1]);
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store and index.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false }).createIndex('size', 'file.size');
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put and get.
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put({ file, blob: new Blob(['hello']) }, 1);
+			store.get(1).onsuccess = get;
+			store.index('size').getAllKeys(3).onsuccess = size;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		expect(size).toHaveBeenCalled();
+
+	});
+	test('name: Rename an object store during an upgrade', () => {
+
+		// Handlers.
+		const get = jest.fn(e => {
+			expect(e.target.result).toEqual({a:1});
+		});
+		const upgradeneeded = jest.fn(e => {
+
+			// Rename store.
+			const store = e.target.transaction.objectStore('store');
+			e.target.result.createObjectStore('other');
+			expect(() => { store.name = 'other'; }).toThrow(DOMException);
+			store.name = 'renamed';
+			expect(store.name).toBe('renamed');
+			expect(e.target.result.objectStoreNames).toContain('renamed');
+			expect(e.target.result.objectStoreNames).not.toContain('store');
+
+		});
+		const success = jest.fn(e => {
+
+			// Get from renamed store.
+			e.target.result.transaction('renamed', 'readonly').objectStore('renamed').get(1).onsuccess = get;
+
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const transaction = e.target.result.transaction('store', 'readwrite');
+			transaction.objectStore('store').put({a:1}, 1);
+			expect(() => { transaction.objectStore('store').name = 'renamed'; }).toThrow(DOMException);
+			transaction.oncomplete = () => {
+
+				// Close the connection and upgrade the database.
+				e.target.result.close();
+				const request = indexedDB.open('testing', 2);
+				request.onupgradeneeded = upgradeneeded;
+				request.onsuccess = success;
+
+			};
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(upgradeneeded).toHaveBeenCalled();
+		expect(success).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+
+	});
+	test('name: Renaming an object store is reverted if the upgrade is aborted', () => {
+
+		// Handlers.
+		let store;
+		const abort = jest.fn(e => {
+			expect(store.name).toBe('store');
+			expect(e.target.objectStoreNames).toContain('store');
+			expect(e.target.db.objectStoreNames).not.toContain('renamed');
+		});
+
+		const upgradeneeded = jest.fn(e => {
+
+			// Rename store and abort.
+			store = e.target.transaction.objectStore('store');
+			store.name = 'renamed';
+			e.target.transaction.onabort = abort;
+			e.target.transaction.abort();
+
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Close the connection and upgrade the database.
+			e.target.result.close();
+			indexedDB.open('testing', 2).onupgradeneeded = upgradeneeded;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(upgradeneeded).toHaveBeenCalled();
+		expect(abort).toHaveBeenCalled();
+
+	});
+	test('createObjectStore(): Disallow autoIncrement with array key path', () => {
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			expect(() => e.target.result.createObjectStore('store', { keyPath: ['a', 'b'], autoIncrement: true })).toThrow(DOMException);
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+
 	});
 	test('get(): Get record from object store (outline key)', () => {
 
@@ -428,27 +1057,130 @@ describe('IndexedDB mock object store', () => {
 	test('get(): Get record from object store (generated inline key)', () => {
 
 		// Handlers.
-		const success = jest.fn(e => {
-			expect(e.target.result).toEqual({a:1,b:2,c:3,id:1}); // Inline key.
+		const success = jest.fn(e => {
+			expect(e.target.result).toEqual({a:1,b:2,c:3,id:1}); // Inline key.
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: 'id', autoIncrement: true });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			e.target.result.transaction('store', 'readwrite').objectStore('store').put({a:1,b:2,c:3}); // No key.
+
+			// Get.
+			const request = e.target.result.transaction('store', 'readonly').objectStore('store').get(1);
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = success;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalled();
+
+	});
+	test('get(): Values are cloned when they are read', () => {
+
+		// Handlers.
+		const get1 = jest.fn(e => {
+			e.target.result.a.push(4);
+			e.target.result.b = 2;
+		});
+		const get2 = jest.fn(e => {
+			expect(e.target.result).toEqual({a:[1, 2, 3]});
+		});
+		const cursor = jest.fn(e => {
+			expect(e.target.result.value).toBe(e.target.result.value);
+			e.target.result.value.a.pop();
+		});
+
+		// Events.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put, then change the results of reads.
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put({a:[1, 2, 3]}, 1);
+			store.get(1).onsuccess = get1;
+			store.openCursor().onsuccess = cursor;
+			store.getAll().onsuccess = e => e.target.result[0].a.shift();
+			store.get(1).onsuccess = get2;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get1).toHaveBeenCalled();
+		expect(cursor).toHaveBeenCalled();
+		expect(get2).toHaveBeenCalled();
+
+	});
+	test('get(): Values are deep frozen when the factory freezes results', () => {
+
+		// Vars.
+		const frozenDB = new IDBFactory({ freezeResults: true });
+
+		// Handlers.
+		const get = jest.fn(e => {
+			expect(Object.isFrozen(e.target.result)).toBe(true);
+			expect(Object.isFrozen(e.target.result.a)).toBe(true);
+			expect(Object.isFrozen(e.target.result.map.get('b'))).toBe(true);
+			expect(() => e.target.result.map.set('c', 3)).toThrow(TypeError);
+			expect(() => e.target.result.date.setFullYear(2010)).toThrow(TypeError);
+			expect(() => { e.target.result.a.push(4); }).toThrow(TypeError);
+		});
+		const getAll = jest.fn(e => {
+			expect(Object.isFrozen(e.target.result[0])).toBe(true);
+		});
+		const getAllKeys = jest.fn(e => {
+			expect(e.target.result).toEqual([1]);
+			expect(Object.freeze).not.toHaveBeenCalled(); // Keys only, so values aren't read (or frozen).
+			Object.freeze.mockRestore();
 		});
 
 		// Events.
-		const request = indexedDB.open('testing', 1);
+		const request = frozenDB.open('testing', 1);
 		request.onupgradeneeded = jest.fn(e => {
 
 			// Create object store.
-			e.target.result.createObjectStore('store', { keyPath: 'id', autoIncrement: true });
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
 
 		});
 		request.onsuccess = jest.fn(e => {
 
-			// Put.
-			e.target.result.transaction('store', 'readwrite').objectStore('store').put({a:1,b:2,c:3}); // No key.
+			// Put and get.
+			const store = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			store.put({a:[1, 2, 3], map: new Map([['b', {c:1}]]), date: new Date(2000, 0, 1)}, 1);
+			store.get(1).onsuccess = get;
+			store.getAll().onsuccess = getAll;
+			store.getAllKeys().onsuccess = jest.fn(e => {
+				jest.spyOn(Object, 'freeze');
+				e.target.source.getAllKeys().onsuccess = getAllKeys;
+			});
 
-			// Get.
-			const request = e.target.result.transaction('store', 'readonly').objectStore('store').get(1);
-			expect(request).toBeInstanceOf(IDBRequest);
-			request.onsuccess = success;
+			// Options are checked.
+			expect(() => new IDBFactory({ freezeResults: 'yes' })).toThrow(TypeError);
 
 		});
 
@@ -458,7 +1190,9 @@ describe('IndexedDB mock object store', () => {
 		// Check handlers.
 		expect(request.onupgradeneeded).toHaveBeenCalled();
 		expect(request.onsuccess).toHaveBeenCalled();
-		expect(success).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		expect(getAll).toHaveBeenCalled();
+		expect(getAllKeys).toHaveBeenCalled();
 
 	});
 	test('get(): Get non-existant record returns undefined', () => {
@@ -650,6 +1384,55 @@ describe('IndexedDB mock object store', () => {
 		expect(request.onsuccess).toHaveBeenCalled();
 		expect(success).toHaveBeenCalledTimes(99 + 1);
 
+	});
+	test('openKeyCursor(): Iterate through keys of a range of records without values', () => {
+
+		// Handlers.
+		let i = 10;
+		const success = jest.fn(e => {
+			if (e.target.result)
+			{
+				expect(e.target.result).toBeInstanceOf(IDBCursor);
+				expect(e.target.result).not.toBeInstanceOf(IDBCursorWithValue);
+				expect(e.target.result.key).toBe(i);
+				expect(e.target.result.primaryKey).toBe(i);
+				expect('value' in e.target.result).toBe(false);
+				expect(() => e.target.result.update({a:1})).toThrow(DOMException);
+				expect(() => e.target.result.delete()).toThrow(DOMException);
+				e.target.result.continue();
+				i--;
+			}
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			for (let i = 1; i <= 99; i++) puts.put({a:1,b:2,c:3}, i); // Outline key.
+
+			// Get.
+			const request = e.target.result.transaction('store', 'readwrite').objectStore('store').openKeyCursor(IDBKeyRange.upperBound(10), 'prev');
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = success;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(success).toHaveBeenCalledTimes(10 + 1);
+
 	});
 	test('openCursor(): Get a single record by primary key', () => {
 
@@ -741,20 +1524,19 @@ describe('IndexedDB mock object store', () => {
 		expect(success).toHaveBeenCalledTimes((lastCount - firstCount + 1) + 1);
 
 	});
-	test('openCursor(): Iterate through an array of records', () => {
+	test('openCursor(): Array query matches an array key (not a list of keys)', () => {
 
 		// Vars.
-		const records = [11, 15, 40, 'abc', 19999, 2000]; // Three existant, three non-existant.
+		const key = [11, 15];
 
 		// Handlers.
 		const success = jest.fn(e => {
 			if (e.target.result)
 			{
-				const record = records.shift();
 				expect(e.target.result).toBeInstanceOf(IDBCursorWithValue);
-				expect(e.target.result.key).toEqual(record);
-				expect(e.target.result.primaryKey).toEqual(record);
-				expect(e.target.result.value).toEqual({a:1,b:2,c:3});
+				expect(e.target.result.key).toEqual(key);
+				expect(e.target.result.primaryKey).toEqual(key);
+				expect(e.target.result.value).toEqual({d:4});
 				e.target.result.continue();
 			}
 		});
@@ -772,9 +1554,10 @@ describe('IndexedDB mock object store', () => {
 			// Put.
 			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
 			for (let i = 1; i <= 99; i++) puts.put({a:1,b:2,c:3}, i); // Outline key.
+			puts.put({d:4}, [11, 15]); // Array key.
 
 			// Get.
-			const request = e.target.result.transaction('store', 'readonly').objectStore('store').openCursor(records);
+			const request = e.target.result.transaction('store', 'readonly').objectStore('store').openCursor(key);
 			expect(request).toBeInstanceOf(IDBRequest);
 			request.onsuccess = success;
 
@@ -786,7 +1569,116 @@ describe('IndexedDB mock object store', () => {
 		// Check handlers.
 		expect(request.onupgradeneeded).toHaveBeenCalled();
 		expect(request.onsuccess).toHaveBeenCalled();
-		expect(success).toHaveBeenCalledTimes(3 + 1);
+		expect(success).toHaveBeenCalledTimes(1 + 1);
+
+	});
+	test('openCursor(): Iterate through keys of different types in key order', () => {
+
+		// Vars.
+		const expected = [-Infinity, 1, 10, new Date(2000, 0, 1), new Date(2001, 0, 1), '', '10', 'a', [], [1], ['a']];
+		const found = [];
+
+		// Handlers.
+		const get = jest.fn(e => {
+			expect(e.target.result).toBe('date2'); // Dates are matched by value.
+		});
+		const success = jest.fn(e => {
+			if (e.target.result)
+			{
+				found.push(e.target.result.key);
+				e.target.result.continue();
+			}
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put (in reverse order).
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			for (let i = expected.length - 1; i >= 0; i--) puts.put('value', expected[i]);
+			puts.put('date2', new Date(2000, 0, 1)); // Overwrites the existing date key.
+
+			// Get and cursor.
+			const store = e.target.result.transaction('store', 'readonly').objectStore('store');
+			store.get(new Date(2000, 0, 1)).onsuccess = get;
+			store.openCursor().onsuccess = success;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		expect(found).toEqual(expected);
+
+	});
+	test('put(): Put and get records with binary keys', () => {
+
+		// Vars.
+		const digest = new Uint8Array([0xde, 0xad, 0xbe, 0xef]);
+		const found = [];
+
+		// Handlers.
+		const put = jest.fn(e => {
+			expect(e.target.result).toBeInstanceOf(ArrayBuffer);
+			expect(new Uint8Array(e.target.result)).toEqual(new Uint8Array([0xde, 0xad, 0xbe, 0xef]));
+		});
+		const get = jest.fn(e => {
+			expect(e.target.result).toBe('beef');
+		});
+		const success = jest.fn(e => {
+			if (e.target.result)
+			{
+				if (e.target.result.value === 'beef') expect(e.target.result.primaryKey).toBeInstanceOf(ArrayBuffer);
+				found.push(e.target.result.value);
+				e.target.result.continue();
+			}
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			puts.put('beef', digest).onsuccess = put;
+			puts.put('cafe', new Uint8Array([0xca, 0xfe]).buffer);
+			puts.put('string', 'zzz');
+			puts.put('array', [1]);
+			digest[0] = 0; // Changing the original doesn't change the stored key.
+
+			// Get and cursor.
+			const store = e.target.result.transaction('store', 'readonly').objectStore('store');
+			store.get(new DataView(new Uint8Array([0xde, 0xad, 0xbe, 0xef]).buffer)).onsuccess = get;
+			store.openCursor().onsuccess = success;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(put).toHaveBeenCalled();
+		expect(get).toHaveBeenCalled();
+		expect(found).toEqual(['string', 'cafe', 'beef', 'array']);
 
 	});
 	test('openCursor(): advance() can skip multiple entries', () => {
@@ -1080,14 +1972,11 @@ describe('IndexedDB mock object store', () => {
 		expect(success).toHaveBeenCalled();
 
 	});
-	test('count(): Count an array of records', () => {
-
-		// Vars.
-		const records = [12, 49, 62, 2000, 9999, 'abc']; // Three existant, three non-existant.
+	test('count(): Count an array key (not a list of keys)', () => {
 
 		// Handlers.
 		const success = jest.fn(e => {
-			expect(e.target.result).toBe(3); // Ranges include top/bottom number.
+			expect(e.target.result).toBe(1); // Only the array key matches.
 		});
 
 		// Open a connection.
@@ -1103,9 +1992,10 @@ describe('IndexedDB mock object store', () => {
 			// Put.
 			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
 			for (let i = 1; i <= 99; i++) puts.put({a:1,b:2,c:3}, i); // Outline key.
+			puts.put({d:4}, [12, 49]); // Array key.
 
 			// Count.
-			const request = e.target.result.transaction('store', 'readonly').objectStore('store').count(records);
+			const request = e.target.result.transaction('store', 'readonly').objectStore('store').count([12, 49]);
 			expect(request).toBeInstanceOf(IDBRequest);
 			request.onsuccess = success;
 
@@ -1119,6 +2009,203 @@ describe('IndexedDB mock object store', () => {
 		expect(request.onsuccess).toHaveBeenCalled();
 		expect(success).toHaveBeenCalled();
 
+	});
+	test('getAll(): Get all records, a range of records, or a limited number of records', () => {
+
+		// Handlers.
+		const all = jest.fn(e => {
+			expect(e.target.result).toHaveLength(99);
+			expect(e.target.result[0]).toEqual({a:1});
+			expect(e.target.result[98]).toEqual({a:99});
+		});
+		const range = jest.fn(e => {
+			expect(e.target.result).toEqual([{a:10},{a:11},{a:12}]);
+		});
+		const limited = jest.fn(e => {
+			expect(e.target.result).toEqual([{a:20},{a:21}]);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			for (let i = 1; i <= 99; i++) puts.put({a:i}, i); // Outline key.
+
+			// Get all.
+			const store = e.target.result.transaction('store', 'readonly').objectStore('store');
+			const request = store.getAll();
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = all;
+			store.getAll(IDBKeyRange.bound(10, 12)).onsuccess = range;
+			store.getAll(IDBKeyRange.lowerBound(20), 2).onsuccess = limited;
+
+			// Invalid count.
+			expect(() => store.getAll(null, -1)).toThrow(TypeError);
+			expect(() => store.getAll(null, 1.5)).toThrow(TypeError);
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(all).toHaveBeenCalled();
+		expect(range).toHaveBeenCalled();
+		expect(limited).toHaveBeenCalled();
+
+	});
+	test('getAllKeys(): Get primary keys of all records or a limited number of records', () => {
+
+		// Handlers.
+		const all = jest.fn(e => {
+			expect(e.target.result).toEqual([1, 2, 3, 4, 5]);
+		});
+		const limited = jest.fn(e => {
+			expect(e.target.result).toEqual([3, 4]);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: 'id', autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			for (let i = 5; i >= 1; i--) puts.put({id:i}); // Inline key.
+
+			// Get keys.
+			const store = e.target.result.transaction('store', 'readonly').objectStore('store');
+			const request = store.getAllKeys();
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = all;
+			store.getAllKeys(IDBKeyRange.lowerBound(3), 2).onsuccess = limited;
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(all).toHaveBeenCalled();
+		expect(limited).toHaveBeenCalled();
+
+	});
+	test('getAllRecords(): Get records in a direction using an options dictionary', () => {
+
+		// Handlers.
+		const records = jest.fn(e => {
+			expect(e.target.result).toHaveLength(3);
+			expect(e.target.result[0]).toBeInstanceOf(IDBRecord);
+			expect(e.target.result.map(r => [r.key, r.primaryKey, r.value])).toEqual([[20, 20, {a:20}], [19, 19, {a:19}], [18, 18, {a:18}]]);
+		});
+		const values = jest.fn(e => {
+			expect(e.target.result).toEqual([{a:99}, {a:98}]);
+		});
+		const keys = jest.fn(e => {
+			expect(e.target.result).toEqual([1, 2, 3]);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			for (let i = 1; i <= 99; i++) puts.put({a:i}, i); // Outline key.
+
+			// Get records.
+			const store = e.target.result.transaction('store', 'readonly').objectStore('store');
+			const request = store.getAllRecords({ query: IDBKeyRange.upperBound(20), count: 3, direction: 'prev' });
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = records;
+			store.getAll({ count: 2, direction: 'prev' }).onsuccess = values;
+			store.getAllKeys({ query: IDBKeyRange.upperBound(3) }).onsuccess = keys;
+
+			// Invalid options.
+			expect(() => store.getAllRecords({ direction: 'sideways' })).toThrow(TypeError);
+			expect(() => store.getAllRecords(1)).toThrow(TypeError);
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(records).toHaveBeenCalled();
+		expect(values).toHaveBeenCalled();
+		expect(keys).toHaveBeenCalled();
+
+	});
+	test('getKey(): Get the primary key of the first matching record', () => {
+
+		// Handlers.
+		const found = jest.fn(e => {
+			expect(e.target.result).toBe(10);
+		});
+		const missing = jest.fn(e => {
+			expect(e.target.result).toBe(undefined);
+		});
+
+		// Open a connection.
+		const request = indexedDB.open('testing', 1);
+		request.onupgradeneeded = jest.fn(e => {
+
+			// Create object store.
+			e.target.result.createObjectStore('store', { keyPath: null, autoIncrement: false });
+
+		});
+		request.onsuccess = jest.fn(e => {
+
+			// Put.
+			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
+			for (let i = 1; i <= 99; i++) puts.put({a:i}, i); // Outline key.
+
+			// Get key.
+			const store = e.target.result.transaction('store', 'readonly').objectStore('store');
+			const request = store.getKey(IDBKeyRange.lowerBound(10));
+			expect(request).toBeInstanceOf(IDBRequest);
+			request.onsuccess = found;
+			store.getKey(100).onsuccess = missing;
+
+			// Key is required.
+			expect(() => store.getKey()).toThrow(DOMException);
+
+		});
+
+		// Run.
+		jest.runAllTimers();
+
+		// Check handlers.
+		expect(request.onupgradeneeded).toHaveBeenCalled();
+		expect(request.onsuccess).toHaveBeenCalled();
+		expect(found).toHaveBeenCalled();
+		expect(missing).toHaveBeenCalled();
+
 	});
 	test('delete(): Delete a record', () => {
 
@@ -1204,17 +2291,14 @@ describe('IndexedDB mock object store', () => {
 		expect(countSuccess).toHaveBeenCalled();
 
 	});
-	test('delete(): Delete an array of records', () => {
-
-		// Vars.
-		const records = [10, 29, 44, 999, 2000, 'abc']; // Three existant, three non-existant.
+	test('delete(): Delete an array key (not a list of keys)', () => {
 
 		// Handlers.
 		const deleteSuccess = jest.fn(e => {
 			expect(e.target.result).toBe(undefined);
 		});
 		const countSuccess = jest.fn(e => {
-			expect(e.target.result).toBe(97);
+			expect(e.target.result).toBe(100); // Only the array key was deleted.
 		});
 
 		// Open a connection.
@@ -1230,9 +2314,10 @@ describe('IndexedDB mock object store', () => {
 			// Put.
 			const puts = e.target.result.transaction('store', 'readwrite').objectStore('store');
 			for (let i = 1; i <= 100; i++) puts.put({a:1,b:2,c:3}, i); // Outline key.
+			puts.put({d:4}, [10, 29]); // Array key.
 
 			// Delete.
-			const request = e.target.result.transaction('store', 'readwrite').objectStore('store').delete(records);
+			const request = e.target.result.transaction('store', 'readwrite').objectStore('store').delete([10, 29]);
 			expect(request).toBeInstanceOf(IDBRequest);
 			request.onsuccess = deleteSuccess;
 